@@ -0,0 +1,41 @@
+#!/usr/bin/env julia
+# This file is a part of JuliaFEM.
+# License is MIT: see https://github.com/ahojukka5/AbaqusReader.jl/blob/master/LICENSE
+
+"""
+    scripts/generate_element_database_js.jl
+
+Generate the element database used by the in-browser parser of the visualizer.
+
+Usage:
+    julia scripts/generate_element_database_js.jl
+
+Reads `data/abaqus_elements.toml` and writes `visualizer/frontend/element_database.js`.
+Run this after adding new element types to the TOML database so that the
+visualizer recognizes them also when parsing files offline.
+"""
+
+import TOML
+
+const TOML_PATH = joinpath(@__DIR__, "..", "data", "abaqus_elements.toml")
+const JS_PATH = joinpath(@__DIR__, "..", "visualizer", "frontend", "element_database.js")
+
+element_data = TOML.parsefile(TOML_PATH)
+
+open(JS_PATH, "w") do io
+    println(io, "// ABAQUS element database for the in-browser parser.")
+    println(io, "//")
+    println(io, "// GENERATED FILE - do not edit by hand. Regenerate from data/abaqus_elements.toml with:")
+    println(io, "//     julia scripts/generate_element_database_js.jl")
+    println(io)
+    println(io, "const ELEMENT_DATABASE = {")
+    names = sort(collect(keys(element_data)))
+    for (i, name) in enumerate(names)
+        props = element_data[name]
+        separator = i < length(names) ? "," : ""
+        println(io, "    \"$name\": { nodes: $(props["nodes"]), type: \"$(props["type"])\" }$separator")
+    end
+    println(io, "};")
+end
+
+println("✅ Wrote $(length(element_data)) element types to $JS_PATH")
@@ -24,7 +24,26 @@ const element_mapping = Dict(
         :S3 => (:Quad4, [1, 5, 6, 2]),
         :S4 => (:Quad4, [2, 6, 7, 3]),
         :S5 => (:Quad4, [3, 7, 8, 4]),
-        :S6 => (:Quad4, [4, 8, 5, 1])))
+        :S6 => (:Quad4, [4, 8, 5, 1])),
+    :Hex20 => Dict(
+        :S1 => (:Quad8, [1, 2, 3, 4, 9, 10, 11, 12]),
+        :S2 => (:Quad8, [5, 8, 7, 6, 16, 15, 14, 13]),
+        :S3 => (:Quad8, [1, 5, 6, 2, 17, 13, 18, 9]),
+        :S4 => (:Quad8, [2, 6, 7, 3, 18, 14, 19, 10]),
+        :S5 => (:Quad8, [3, 7, 8, 4, 19, 15, 20, 11]),
+        :S6 => (:Quad8, [4, 8, 5, 1, 20, 16, 17, 12])),
+    :Wedge6 => Dict(
+        :S1 => (:Tri3, [1, 2, 3]),
+        :S2 => (:Tri3, [4, 6, 5]),
+        :S3 => (:Quad4, [1, 4, 5, 2]),
+        :S4 => (:Quad4, [2, 5, 6, 3]),
+        :S5 => (:Quad4, [3, 6, 4, 1])),
+    :Wedge15 => Dict(
+        :S1 => (:Tri6, [1, 2, 3, 7, 8, 9]),
+        :S2 => (:Tri6, [4, 6, 5, 12, 11, 10]),
+        :S3 => (:Quad8, [1, 4, 5, 2, 13, 10, 14, 7]),
+        :S4 => (:Quad8, [2, 5, 6, 3, 14, 11, 15, 8]),
+        :S5 => (:Quad8, [3, 6, 4, 1, 15, 12, 13, 9])))
 
 """ Given element code, element side and global connectivity, determine boundary
 element. E.g. for Tet4 we have 4 sides S1..S4 and boundary element is of type Tri3.
@@ -99,9 +118,9 @@ end
 # Surface Element Types
 Depending on the parent volume element type and face, surface elements can be:
 - `:Tri3` - 3-node triangle (from tet faces, wedge faces)
-- `:Tri6` - 6-node triangle (from quadratic tet faces)
+- `:Tri6` - 6-node triangle (from quadratic tet faces, quadratic wedge faces)
 - `:Quad4` - 4-node quadrilateral (from hex faces, wedge faces)
-- `:Quad8` - 8-node quadrilateral (from quadratic hex faces)
+- `:Quad8` - 8-node quadrilateral (from quadratic hex faces, quadratic wedge faces)
 
 # See Also
 - [`abaqus_read_mesh`](@ref): Read mesh data containing surface definitions
@@ -12,10 +12,16 @@ This parser handles structured ABAQUS files that use:
 
 Returns a dictionary with:
 - "parts": Dict{String, Dict} - Each part's mesh data (nodes, elements, etc.)
-- "assembly": Dict - Assembly-level data (sets, instances, etc.)
+- "assembly": Dict - Assembly-level data (nodes, elements and sets given in *ASSEMBLY)
+- "instances": Vector{Dict} - The *INSTANCE placements in file order, each with
+  "name" and "part" (String), "translation" (3 Float64, zeros without a
+  translation line) and "rotation" (7 Float64: two points on the axis and the
+  angle in degrees, or `nothing` without a rotation line)
 - "nodes": Dict - Flattened nodes from all parts
 - "elements": Dict - Flattened elements from all parts
 - "element_types": Dict - Element types for all elements
+- "part_nodes": Dict{String, Vector{Int}} - Sorted flattened node ids of each part
+- "part_elements": Dict{String, Vector{Int}} - Sorted flattened element ids of each part
 
 The flattened mesh allows backward compatibility with code expecting the flat format.
 """
@@ -33,7 +39,10 @@ function parse_assembly_mesh(io::IO; verbose=true)
         "element_sets" => Dict{String,Vector{Int}}(),
         "node_sets" => Dict{String,Vector{Int}}(),
         "surface_sets" => Dict{String,Vector{Tuple{Int,Symbol}}}(),
-        "surface_types" => Dict{String,Symbol}()
+        "surface_types" => Dict{String,Symbol}(),
+        "part_elements" => Dict{String,Vector{Int}}(),
+        "part_nodes" => Dict{String,Vector{Int}}(),
+        "instances" => Vector{Dict{String,Any}}()
     )
 
     current_part = nothing
@@ -98,6 +107,39 @@ function parse_assembly_mesh(io::IO; verbose=true)
             continue
         end
 
+        # Detect *INSTANCE: placement of a part in the assembly, an optional
+        # translation line and an optional rotation line (two points on the
+        # axis and the angle in degrees)
+        if in_assembly && startswith(line_upper, "*INSTANCE")
+            name = match(r"NAME\s*=\s*([^,\s]+)"i, line)
+            part = match(r"PART\s*=\s*([^,\s]+)"i, line)
+            instance = Dict{String,Any}(
+                "name" => name === nothing ? "" : String(name[1]),
+                "part" => part === nothing ? "" : String(part[1]),
+                "translation" => zeros(3),
+                "rotation" => nothing
+            )
+            data_lines = 0
+            i += 1
+            while i <= length(lines)
+                row = strip(lines[i])
+                if startswith(row, "*") && !startswith(row, "**")
+                    break
+                end
+                i += 1
+                (isempty(row) || startswith(row, "**")) && continue
+                values = [parse(Float64, value) for value in split(strip(row, ','), ',')]
+                data_lines += 1
+                if data_lines == 1
+                    instance["translation"][1:min(3, length(values))] .= values[1:min(3, length(values))]
+                elseif data_lines == 2 && length(values) >= 7
+                    instance["rotation"] = values[1:7]
+                end
+            end
+            push!(result["instances"], instance)
+            continue
+        end
+
         # Find the next keyword
         next_keyword_idx = i + 1
         while next_keyword_idx <= length(lines)
@@ -163,6 +205,8 @@ function parse_assembly_mesh(io::IO; verbose=true)
             result["element_types"][elem_id+element_offset] = part_data["element_types"][elem_id]
             result["element_codes"][elem_id+element_offset] = part_data["element_codes"][elem_id]
         end
+        result["part_elements"][part_name] = sort!([id + element_offset for id in keys(part_data["elements"])])
+        result["part_nodes"][part_name] = sort!([id + node_offset for id in keys(part_data["nodes"])])
 
         # Merge element sets
         for (set_name, elem_ids) in part_data["element_sets"]
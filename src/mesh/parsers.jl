@@ -11,6 +11,7 @@ const MODEL_ONLY_KEYWORDS = Set([
     "HEADING",
     "SOLID SECTION",
     "SHELL SECTION",
+    "BEAM SECTION",
     "MASS",
     "MATERIAL",
     "ELASTIC",
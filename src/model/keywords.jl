@@ -66,6 +66,7 @@ const RECOGNIZED_KEYWORDS = Set([
     "HEADING",
     "SOLID SECTION",
     "SHELL SECTION",
+    "BEAM SECTION",
     "MASS",
     "MATERIAL",
     "ELASTIC",
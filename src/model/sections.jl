@@ -20,6 +20,8 @@ function maybe_close_section!(model, state)
         close_solid_section!(model, state)
     elseif section_name == "SHELL SECTION"
         close_shell_section!(model, state)
+    elseif section_name == "BEAM SECTION"
+        close_beam_section!(model, state)
     elseif section_name == "MASS"
         close_mass_section!(model, state)
     elseif section_name == "ELASTIC"
@@ -68,6 +70,8 @@ function maybe_open_section!(model, state)
         open_solid_section!(model, state)
     elseif section_name == "SHELL SECTION"
         open_shell_section!(model, state)
+    elseif section_name == "BEAM SECTION"
+        open_beam_section!(model, state)
     elseif section_name == "MASS"
         open_mass_section!(model, state)
     elseif section_name == "MATERIAL"
@@ -226,6 +230,42 @@ function close_shell_section!(model, state)
     state.property = nothing
 end
 
+"""
+    open_beam_section!(model, state)
+
+Open BEAM SECTION and create beam property with the cross-section shape.
+"""
+function open_beam_section!(model, state)
+    element_set = Symbol(get_option(state, "ELSET"))
+    material_name = Symbol(get_option(state, "MATERIAL"))
+    section = Symbol(uppercase(get_option(state, "SECTION")))
+    property = BeamSection(element_set, material_name, section, Float64[], nothing)
+    state.property = property
+    push!(model.properties, property)
+end
+
+"""
+    close_beam_section!(model, state)
+
+Close BEAM SECTION and parse cross-section dimensions and orientation.
+
+The first data line contains the section dimensions (e.g. width and height
+for RECT, radius for CIRC). The optional second line gives the approximate
+n1 direction of the cross-section.
+"""
+function close_beam_section!(model, state)
+    if state.property !== nothing && state.property isa BeamSection
+        data = get_data(state)
+        if length(data) > 0
+            state.property.dimensions = Float64.(data[1])
+        end
+        if length(data) > 1
+            state.property.direction = Float64.(data[2])
+        end
+    end
+    state.property = nothing
+end
+
 """
     open_mass_section!(model, state)
 
@@ -108,6 +108,26 @@ mutable struct ShellSection <: AbstractProperty
     num_integration_points::Int
 end
 
+"""
+    BeamSection <: AbstractProperty
+
+Beam section property with cross-section geometry.
+
+# Fields
+- `element_set::Symbol` - Name of element set
+- `material_name::Symbol` - Name of material
+- `section::Symbol` - Cross-section shape (e.g., :RECT, :CIRC, :PIPE, :BOX, :I)
+- `dimensions::Vector{Float64}` - Cross-section dimensions in the order ABAQUS lists them
+- `direction::Union{Vector{Float64},Nothing}` - Approximate n1 direction of the section, if given
+"""
+mutable struct BeamSection <: AbstractProperty
+    element_set::Symbol
+    material_name::Symbol
+    section::Symbol
+    dimensions::Vector{Float64}
+    direction::Union{Vector{Float64},Nothing}
+end
+
 """
     MassSection <: AbstractProperty
 
@@ -35,6 +35,9 @@ using Test
     @testset "test_parse_beams" begin
         include("test_parse_beams.jl")
     end
+    @testset "test_beam_section" begin
+        include("test_beam_section.jl")
+    end
     @testset "test_multiple_parts" begin
         include("test_multiple_parts.jl")
     end
@@ -0,0 +1,74 @@
+# This file is a part of JuliaFEM.
+# License is MIT: see https://github.com/JuliaFEM/AbaqusReader.jl/blob/master/LICENSE
+
+using AbaqusReader
+using Test
+
+@testset "BEAM SECTION with dimensions and direction" begin
+    inp_content = """
+    *HEADING
+    Frame with rectangular beam section
+    *NODE
+    1, 0.0, 0.0, 0.0
+    2, 10.0, 0.0, 0.0
+    *ELEMENT, TYPE=B31, ELSET=FRAME
+    1, 1, 2
+    *MATERIAL, NAME=STEEL
+    *ELASTIC
+    210000.0, 0.3
+    *BEAM SECTION, ELSET=FRAME, MATERIAL=STEEL, SECTION=RECT
+    0.2, 0.4
+    0.0, 0.0, -1.0
+    """
+
+    model = abaqus_parse_model(inp_content)
+    @test length(model.properties) == 1
+
+    property = model.properties[1]
+    @test property isa AbaqusReader.BeamSection
+    @test property.element_set == :FRAME
+    @test property.material_name == :STEEL
+    @test property.section == :RECT
+    @test property.dimensions == [0.2, 0.4]
+    @test property.direction == [0.0, 0.0, -1.0]
+end
+
+@testset "BEAM SECTION without direction" begin
+    inp_content = """
+    *NODE
+    1, 0.0, 0.0, 0.0
+    2, 0.0, 5.0, 0.0
+    *ELEMENT, TYPE=B32, ELSET=PIPES
+    1, 1, 2, 3
+    *NODE
+    3, 0.0, 10.0, 0.0
+    *MATERIAL, NAME=ALUM
+    *ELASTIC
+    70000.0, 0.33
+    *BEAM SECTION, ELSET=PIPES, MATERIAL=ALUM, SECTION=circ
+    0.05
+    """
+
+    model = abaqus_parse_model(inp_content)
+    property = model.properties[1]
+    @test property isa AbaqusReader.BeamSection
+    @test property.section == :CIRC
+    @test property.dimensions == [0.05]
+    @test property.direction === nothing
+end
+
+@testset "BEAM SECTION is silently skipped by mesh parser" begin
+    inp_content = """
+    *NODE
+    1, 0.0, 0.0, 0.0
+    2, 10.0, 0.0, 0.0
+    *ELEMENT, TYPE=B31, ELSET=FRAME
+    1, 1, 2
+    *BEAM SECTION, ELSET=FRAME, MATERIAL=STEEL, SECTION=RECT
+    0.2, 0.4
+    """
+
+    mesh = abaqus_parse_mesh(inp_content)
+    @test length(mesh["elements"]) == 1
+    @test mesh["element_types"][1] == :Seg2
+end
@@ -17,6 +17,16 @@ end
     @test elements[1] == (:Tri3, [8,10,9])
 end
 
+@testset "create surface elements of quadratic and wedge elements" begin
+    @test create_surface_element(:Hex20, :S3, collect(101:120)) ==
+          (:Quad8, [101, 105, 106, 102, 117, 113, 118, 109])
+    @test create_surface_element(:Wedge6, :S2, collect(11:16)) == (:Tri3, [14, 16, 15])
+    @test create_surface_element(:Wedge6, :S4, collect(11:16)) == (:Quad4, [12, 15, 16, 13])
+    @test create_surface_element(:Wedge15, :S1, collect(1:15)) == (:Tri6, [1, 2, 3, 7, 8, 9])
+    @test create_surface_element(:Wedge15, :S5, collect(1:15)) ==
+          (:Quad8, [3, 6, 4, 1, 15, 12, 13, 9])
+end
+
 @testset "throw error if unknown element or side defined" begin
     @test_throws(Exception, create_surface_element(:Tet5, :S1, [8, 9, 10, 2]))
     @test_throws(Exception, create_surface_element(:Tet4, :S5, [8, 9, 10, 2]))
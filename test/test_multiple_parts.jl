@@ -64,9 +64,53 @@ using Test
     @test haskey(mesh["element_sets"], "PART1.EPART1")
     @test haskey(mesh["element_sets"], "PART2.EPART2")
 
+    # Check the flattened element ids of each part
+    @test sort(vcat(values(mesh["part_elements"])...)) == sort(collect(keys(mesh["elements"])))
+    @test mesh["part_elements"]["PART1"] == mesh["element_sets"]["PART1.EPART1"]
+    @test mesh["part_elements"]["PART2"] == mesh["element_sets"]["PART2.EPART2"]
+    @test sort(vcat(values(mesh["part_nodes"])...)) == sort(collect(keys(mesh["nodes"])))
+
+    # Check the instances and their placement
+    @test [instance["name"] for instance in mesh["instances"]] == ["INST1", "INST2"]
+    @test [instance["part"] for instance in mesh["instances"]] == ["PART1", "PART2"]
+    @test mesh["instances"][1]["translation"] == [0.0, 0.0, 0.0]
+    @test mesh["instances"][2]["translation"] == [1.0, 0.0, 0.0]
+    @test mesh["instances"][2]["rotation"] === nothing
+
     println("✓ PART/ASSEMBLY format mesh parsing works correctly")
 end
 
+@testset "Instance placement with a rotation" begin
+    inp_content = """
+    *PART,NAME=BLOCK
+    *NODE
+    1, 0.0, 0.0, 0.0
+    2, 1.0, 0.0, 0.0
+    3, 1.0, 1.0, 0.0
+    4, 0.0, 1.0, 0.0
+    *ELEMENT,TYPE=CPS4,ELSET=EBLOCK
+    1, 1, 2, 3, 4
+    *END PART
+    *ASSEMBLY,NAME=ASSEMBLY1
+    *INSTANCE,NAME=FIRST,PART=BLOCK
+    *END INSTANCE
+    *INSTANCE,NAME=TURNED,PART=BLOCK
+    10.0, 0.0, 0.0
+    ** Rotation about the z axis through the origin
+    0.0, 0.0, 0.0, 0.0, 0.0, 1.0, 90.0
+    *END INSTANCE
+    *END ASSEMBLY
+    """
+
+    mesh = abaqus_parse_mesh(inp_content)
+
+    # Both instances place the same part, only the second one is rotated
+    @test [instance["part"] for instance in mesh["instances"]] == ["BLOCK", "BLOCK"]
+    @test mesh["instances"][1]["rotation"] === nothing
+    @test mesh["instances"][2]["translation"] == [10.0, 0.0, 0.0]
+    @test mesh["instances"][2]["rotation"] == [0.0, 0.0, 0.0, 0.0, 0.0, 1.0, 90.0]
+end
+
 @testset "Flat format works (for comparison)" begin
     # Traditional flat format without PART/ASSEMBLY (this should work)
     inp_content = """
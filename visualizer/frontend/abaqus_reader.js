@@ -0,0 +1,730 @@
+// In-browser port of the mesh-only parser of AbaqusReader.jl.
+//
+// parseMesh() mirrors abaqus_parse_mesh (flat and PART/ASSEMBLY files) and
+// meshToJson() mirrors mesh_to_json of the backend, so that a file parsed in
+// the browser produces the same data as POST /parse. Nothing is uploaded.
+// resolveIncludes() inlines *INCLUDE files of a multi-file drop.
+//
+// Requires element_database.js (ELEMENT_DATABASE).
+
+const AbaqusReader = (function () {
+
+    // Mapping for extracting surface faces from volume elements
+    const VOLUME_TO_SURFACE_FACES = {
+        // Tet4: 4 triangular faces
+        Tet4: [[1, 3, 2], [1, 2, 4], [2, 3, 4], [1, 4, 3]],
+        // Tet10: 4 six-node triangular faces (corner nodes first, then midside nodes)
+        Tet10: [[1, 3, 2, 7, 6, 5], [1, 2, 4, 5, 9, 8], [2, 3, 4, 6, 10, 9], [1, 4, 3, 8, 10, 7]],
+        // Hex8: 6 quadrilateral faces
+        Hex8: [[1, 2, 3, 4], [5, 8, 7, 6], [1, 5, 6, 2], [2, 6, 7, 3], [3, 7, 8, 4], [4, 8, 5, 1]],
+        // Hex20: 6 eight-node quadrilateral faces (corner nodes first, then midside nodes)
+        Hex20: [
+            [1, 2, 3, 4, 9, 10, 11, 12], [5, 8, 7, 6, 16, 15, 14, 13], [1, 5, 6, 2, 17, 13, 18, 9],
+            [2, 6, 7, 3, 18, 14, 19, 10], [3, 7, 8, 4, 19, 15, 20, 11], [4, 8, 5, 1, 20, 16, 17, 12]
+        ],
+        // Wedge6: 5 faces (2 triangular, 3 quadrilateral)
+        Wedge6: [[1, 3, 2], [4, 5, 6], [1, 2, 5, 4], [2, 3, 6, 5], [3, 1, 4, 6]],
+        // Wedge15: 5 faces (corner nodes first, then midside nodes)
+        Wedge15: [
+            [1, 3, 2, 9, 8, 7], [4, 5, 6, 10, 11, 12], [1, 2, 5, 4, 7, 14, 10, 13],
+            [2, 3, 6, 5, 8, 15, 11, 14], [3, 1, 4, 6, 9, 13, 12, 15]
+        ]
+    };
+
+    // Shell, membrane and 2D continuum elements are already surfaces
+    const SHELL_TO_SURFACE_FACES = {
+        Tri3: [[1, 2, 3]],
+        Tri6: [[1, 2, 3, 4, 5, 6]],
+        Quad4: [[1, 2, 3, 4]],
+        Quad8: [[1, 2, 3, 4, 5, 6, 7, 8]]
+    };
+
+    // Face types by number of face nodes (quadratic faces list corners first)
+    const FACE_TYPES = { 3: 'Tri3', 4: 'Quad4', 6: 'Tri6', 8: 'Quad8' };
+
+    function faceCorners(face) {
+        return face.length === 6 || face.length === 8 ? face.slice(0, face.length / 2) : face;
+    }
+
+    // Local nodes of each element side of element-based surfaces, see
+    // element_mapping in create_surface_elements.jl
+    const SURFACE_ELEMENT_MAPPING = {
+        Tet4: { S1: [1, 3, 2], S2: [1, 2, 4], S3: [2, 3, 4], S4: [1, 4, 3] },
+        Tet10: {
+            S1: [1, 3, 2, 7, 6, 5], S2: [1, 2, 4, 5, 9, 8],
+            S3: [2, 3, 4, 6, 10, 9], S4: [1, 4, 3, 8, 10, 7]
+        },
+        Hex8: {
+            S1: [1, 2, 3, 4], S2: [5, 8, 7, 6], S3: [1, 5, 6, 2],
+            S4: [2, 6, 7, 3], S5: [3, 7, 8, 4], S6: [4, 8, 5, 1]
+        },
+        Hex20: {
+            S1: [1, 2, 3, 4, 9, 10, 11, 12], S2: [5, 8, 7, 6, 16, 15, 14, 13],
+            S3: [1, 5, 6, 2, 17, 13, 18, 9], S4: [2, 6, 7, 3, 18, 14, 19, 10],
+            S5: [3, 7, 8, 4, 19, 15, 20, 11], S6: [4, 8, 5, 1, 20, 16, 17, 12]
+        },
+        Wedge6: { S1: [1, 2, 3], S2: [4, 6, 5], S3: [1, 4, 5, 2], S4: [2, 5, 6, 3], S5: [3, 6, 4, 1] },
+        Wedge15: {
+            S1: [1, 2, 3, 7, 8, 9], S2: [4, 6, 5, 12, 11, 10], S3: [1, 4, 5, 2, 13, 10, 14, 7],
+            S4: [2, 5, 6, 3, 14, 11, 15, 8], S5: [3, 6, 4, 1, 15, 12, 13, 9]
+        }
+    };
+
+    // Beam, truss and connector elements are drawn as polylines through their nodes
+    const LINE_ELEMENT_NODES = {
+        Seg2: [1, 2],
+        Seg3: [1, 2, 3]
+    };
+
+    class ParseError extends Error {
+        constructor(message, lineNumber) {
+            super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+            this.name = 'ParseError';
+            this.lineNumber = lineNumber;
+        }
+    }
+
+    function newMesh() {
+        return {
+            nodes: new Map(),
+            node_sets: {},
+            elements: new Map(),
+            element_types: new Map(),
+            element_codes: new Map(),
+            element_sets: {},
+            surface_sets: {},
+            surface_types: {}
+        };
+    }
+
+    function isKeyword(line) {
+        return line.startsWith('*') && !line.startsWith('**');
+    }
+
+    function emptyOrCommentLine(line) {
+        return line.startsWith('**') || line.trim() === '';
+    }
+
+    // Keyword name of a keyword line, e.g. "*Element, type=C3D8" -> "ELEMENT"
+    function keywordName(line) {
+        return line.slice(1).split(',')[0].trim().toUpperCase().replace(/\s+/g, ' ');
+    }
+
+    // Keyword parameters as lowercase name -> value, e.g. { type: 'C3D8', elset: 'ALL' }
+    function parseDefinition(line) {
+        const params = {};
+        line.split(',').slice(1).forEach(item => {
+            const [name, ...value] = item.split('=');
+            const key = name.trim().toLowerCase();
+            if (key) {
+                params[key] = value.length > 0 ? value.join('=').trim().replace(/^"(.*)"$/, '$1') : true;
+            }
+        });
+        return params;
+    }
+
+    function parseIntegers(line) {
+        return (line.match(/[0-9]+/g) || []).map(Number);
+    }
+
+    function addSet(sets, name, ids) {
+        sets[name] = (sets[name] || []).concat(ids);
+    }
+
+    function parseNodes(mesh, lines, start, end) {
+        const params = parseDefinition(lines[start]);
+        const ids = [];
+        for (let i = start + 1; i < end; i++) {
+            const line = lines[i];
+            if (emptyOrCommentLine(line)) continue;
+            const numbers = line.split(',').map(s => s.trim()).filter(s => s !== '').map(Number);
+            if (numbers.length < 2 || numbers.some(isNaN)) {
+                throw new ParseError(`Cannot parse node definition: ${line}`, i + 1);
+            }
+            mesh.nodes.set(numbers[0], numbers.slice(1));
+            ids.push(numbers[0]);
+        }
+        if (params.nset) {
+            addSet(mesh.node_sets, params.nset, ids);
+        }
+    }
+
+    function parseElements(mesh, lines, start, end) {
+        const params = parseDefinition(lines[start]);
+        if (!params.type) {
+            throw new ParseError(`Could not find element type in definition: ${lines[start]}`, start + 1);
+        }
+        const code = params.type.toUpperCase();
+        const info = ELEMENT_DATABASE[code];
+        if (!info) {
+            throw new ParseError(
+                `Unknown ABAQUS element type: ${code}. This element type is not in the element ` +
+                'database (data/abaqus_elements.toml), please report it so that it can be added.',
+                start + 1);
+        }
+
+        const ids = [];
+        let i = start + 1;
+        while (i < end) {
+            const line = lines[i];
+            i++;
+            if (emptyOrCommentLine(line)) continue;
+            const numbers = parseIntegers(line);
+            const id = numbers[0];
+            const connectivity = numbers.slice(1);
+            // Connectivity of large elements may continue on the next lines
+            while (connectivity.length < info.nodes && i < end) {
+                connectivity.push(...parseIntegers(lines[i]));
+                i++;
+            }
+            if (connectivity.length !== info.nodes) {
+                throw new ParseError(
+                    `Element ${id} of type ${code} should have ${info.nodes} nodes, found ${connectivity.length}`, i);
+            }
+            mesh.elements.set(id, connectivity);
+            mesh.element_types.set(id, info.type);
+            mesh.element_codes.set(id, code);
+            ids.push(id);
+        }
+        if (params.elset) {
+            addSet(mesh.element_sets, params.elset, ids);
+        }
+    }
+
+    function parseSet(mesh, lines, start, end, key) {
+        const params = parseDefinition(lines[start]);
+        const setName = params[key];
+        if (!setName || setName === true) {
+            throw new ParseError(`Could not find set name in definition: ${lines[start]}`, start + 1);
+        }
+        const sets = key === 'nset' ? mesh.node_sets : mesh.element_sets;
+        const ids = [];
+        for (let i = start + 1; i < end; i++) {
+            const line = lines[i];
+            if (emptyOrCommentLine(line)) continue;
+            if (params.generate) {
+                const [first, last, step] = parseIntegers(line);
+                for (let id = first; id <= last; id += step || 1) {
+                    ids.push(id);
+                }
+                continue;
+            }
+            line.split(',').map(s => s.trim()).filter(s => s !== '').forEach(item => {
+                if (/^[0-9]+$/.test(item)) {
+                    ids.push(Number(item));
+                } else if (sets[item]) {
+                    // Sets can be built from other sets
+                    ids.push(...sets[item]);
+                } else {
+                    console.warn(`Set '${item}' referenced in ${setName} not found. Skipping.`);
+                }
+            });
+        }
+        addSet(sets, setName, ids);
+    }
+
+    function parseSurface(mesh, lines, start, end) {
+        const params = parseDefinition(lines[start]);
+        if (!params.name) {
+            console.warn(`SURFACE definition line could not be parsed: ${lines[start]}`);
+            return;
+        }
+        const data = [];
+        for (let i = start + 1; i < end; i++) {
+            const line = lines[i];
+            if (emptyOrCommentLine(line)) continue;
+            const m = line.match(/^\s*(\d+)\s*,\s*(S\d+)/i);
+            if (m) {
+                // Element-based surface: element_id, face
+                data.push([Number(m[1]), m[2].toUpperCase()]);
+                continue;
+            }
+            const m2 = line.match(/^\s*([^,\s]+)\s*,\s*(S\d+)/i);
+            if (m2) {
+                // Element-set-based surface: expand element set to individual elements
+                const elementIds = mesh.element_sets[m2[1]];
+                if (elementIds) {
+                    elementIds.forEach(id => data.push([id, m2[2].toUpperCase()]));
+                } else {
+                    console.warn(`Element set '${m2[1]}' referenced in SURFACE not found. Skipping.`);
+                }
+                continue;
+            }
+            console.warn(`Cannot parse SURFACE data line: ${line}`);
+        }
+        if (data.length > 0) {
+            mesh.surface_types[params.name] = (params.type || 'UNKNOWN').toUpperCase();
+            mesh.surface_sets[params.name] = data;
+        } else {
+            console.warn(`SURFACE ${params.name} has no valid surface elements`);
+        }
+    }
+
+    function parseSection(mesh, lines, keyword, start, end) {
+        switch (keyword) {
+            case 'NODE': return parseNodes(mesh, lines, start, end);
+            case 'ELEMENT': return parseElements(mesh, lines, start, end);
+            case 'NSET': return parseSet(mesh, lines, start, end, 'nset');
+            case 'ELSET': return parseSet(mesh, lines, start, end, 'elset');
+            case 'SURFACE': return parseSurface(mesh, lines, start, end);
+            default: return undefined;  // Model-only or unsupported keyword
+        }
+    }
+
+    function keywordIndexes(lines) {
+        const indexes = [];
+        lines.forEach((line, idx) => {
+            if (isKeyword(line)) {
+                indexes.push(idx);
+            }
+        });
+        indexes.push(lines.length);
+        return indexes;
+    }
+
+    function parseFlat(lines) {
+        const mesh = newMesh();
+        const indexes = keywordIndexes(lines);
+        for (let k = 0; k < indexes.length - 1; k++) {
+            const start = indexes[k];
+            parseSection(mesh, lines, keywordName(lines[start]), start, indexes[k + 1]);
+        }
+        return mesh;
+    }
+
+    function maxKey(map) {
+        let max = -Infinity;
+        map.forEach((_, key) => { max = Math.max(max, key); });
+        return max;
+    }
+
+    // Placement of a part in the assembly: an optional translation line and
+    // an optional rotation line (two points on the axis and the angle in
+    // degrees), see parse_assembly_mesh
+    function parseInstance(lines, start, end) {
+        const params = parseDefinition(lines[start]);
+        const instance = { name: params.name || '', part: params.part || '', translation: [0, 0, 0], rotation: null };
+        const rows = lines.slice(start + 1, end).filter(line => !emptyOrCommentLine(line))
+            .map(line => line.replace(/,\s*$/, '').split(',').map(Number));
+        if (rows.length > 0) {
+            rows[0].slice(0, 3).forEach((value, k) => { instance.translation[k] = value; });
+        }
+        if (rows.length > 1 && rows[1].length >= 7) {
+            instance.rotation = rows[1].slice(0, 7);
+        }
+        return instance;
+    }
+
+    // Parse PART/ASSEMBLY files: parts are parsed separately and then
+    // flattened into global nodes/elements with offset ids, like
+    // parse_assembly_mesh does
+    function parseAssembly(lines) {
+        const mesh = newMesh();
+        mesh.parts = {};
+        mesh.part_elements = {};
+        mesh.part_nodes = {};
+        mesh.instances = [];
+        mesh.assembly = {};
+
+        let currentPart = null;
+        let inAssembly = false;
+        const indexes = keywordIndexes(lines);
+
+        for (let k = 0; k < indexes.length - 1; k++) {
+            const start = indexes[k];
+            const keyword = keywordName(lines[start]);
+
+            if (keyword === 'PART') {
+                const name = parseDefinition(lines[start]).name;
+                if (name) {
+                    currentPart = name;
+                    mesh.parts[name] = newMesh();
+                }
+            } else if (keyword === 'END PART') {
+                currentPart = null;
+            } else if (keyword === 'ASSEMBLY') {
+                inAssembly = true;
+                currentPart = null;
+            } else if (keyword === 'END ASSEMBLY') {
+                inAssembly = false;
+            } else if (keyword === 'INSTANCE' && inAssembly) {
+                mesh.instances.push(parseInstance(lines, start, indexes[k + 1]));
+            } else if (currentPart !== null) {
+                parseSection(mesh.parts[currentPart], lines, keyword, start, indexes[k + 1]);
+            } else if (!inAssembly) {
+                parseSection(mesh, lines, keyword, start, indexes[k + 1]);
+            }
+        }
+
+        // Flatten all parts into global nodes/elements
+        let nodeOffset = 0;
+        let elementOffset = 0;
+        Object.entries(mesh.parts).forEach(([partName, part]) => {
+            part.nodes.forEach((coords, id) => mesh.nodes.set(id + nodeOffset, coords));
+            part.elements.forEach((connectivity, id) => {
+                mesh.elements.set(id + elementOffset, connectivity.map(nid => nid + nodeOffset));
+                mesh.element_types.set(id + elementOffset, part.element_types.get(id));
+                mesh.element_codes.set(id + elementOffset, part.element_codes.get(id));
+            });
+            mesh.part_elements[partName] = Array.from(part.elements.keys(), id => id + elementOffset)
+                .sort((a, b) => a - b);
+            mesh.part_nodes[partName] = Array.from(part.nodes.keys(), id => id + nodeOffset)
+                .sort((a, b) => a - b);
+            Object.entries(part.element_sets).forEach(([name, ids]) => {
+                mesh.element_sets[`${partName}.${name}`] = ids.map(id => id + elementOffset);
+            });
+            Object.entries(part.node_sets).forEach(([name, ids]) => {
+                mesh.node_sets[`${partName}.${name}`] = ids.map(id => id + nodeOffset);
+            });
+            if (part.nodes.size > 0) {
+                nodeOffset = maxKey(mesh.nodes);
+            }
+            if (part.elements.size > 0) {
+                elementOffset = maxKey(mesh.elements);
+            }
+        });
+
+        return mesh;
+    }
+
+    // Parse ABAQUS mesh from a string buffer, see abaqus_parse_mesh
+    function parseMesh(content) {
+        const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
+        const isAssembly = lines.some(line => line.trim().toUpperCase().startsWith('*PART'));
+        return isAssembly ? parseAssembly(lines) : parseFlat(lines);
+    }
+
+    // Extensions tried for an INCLUDE path given without one
+    const INCLUDE_EXTENSIONS = ['.inp', '.inc', '.dat'];
+
+    function normalizePath(path) {
+        const parts = [];
+        path.replace(/\\/g, '/').split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    function baseName(path) {
+        return normalizePath(path).split('/').pop();
+    }
+
+    function dirName(path) {
+        const parts = normalizePath(path).split('/');
+        return parts.slice(0, -1).map(part => part + '/').join('');
+    }
+
+    // INPUT= paths of the *INCLUDE keywords of a file, with their line numbers
+    function includeLines(content) {
+        const includes = [];
+        content.split('\n').forEach((line, idx) => {
+            const trimmed = line.replace(/\r$/, '').trim();
+            if (isKeyword(trimmed) && keywordName(trimmed) === 'INCLUDE') {
+                includes.push({ input: parseDefinition(trimmed).input, lineNumber: idx + 1 });
+            }
+        });
+        return includes;
+    }
+
+    // File of `paths` an INCLUDE refers to: relative to the including file,
+    // else any file of the same name, so that absolute paths of the machine
+    // the deck was written on still resolve. Case-insensitive, null if none.
+    function findInclude(input, from, paths) {
+        const candidates = [input];
+        if (!/\.[^.]+$/.test(baseName(input))) {
+            INCLUDE_EXTENSIONS.forEach(ext => candidates.push(input + ext));
+        }
+        const byPath = new Map(paths.map(path => [normalizePath(path).toLowerCase(), path]));
+        for (const candidate of candidates) {
+            const path = byPath.get(normalizePath(dirName(from) + candidate).toLowerCase());
+            if (path) return path;
+        }
+        for (const candidate of candidates) {
+            const name = baseName(candidate).toLowerCase();
+            const path = paths.find(p => baseName(p).toLowerCase() === name);
+            if (path) return path;
+        }
+        return null;
+    }
+
+    // Possible master files of a set of files given as path -> content:
+    // .inp files not included by another file, those with includes first
+    function masterCandidates(files) {
+        const paths = Object.keys(files);
+        const included = new Set();
+        const hasIncludes = new Set();
+        paths.forEach(path => {
+            includeLines(files[path]).forEach(({ input }) => {
+                hasIncludes.add(path);
+                const target = typeof input === 'string' && findInclude(input, path, paths);
+                if (target && target !== path) included.add(target);
+            });
+        });
+        const inputFiles = paths.filter(path => /\.inp$/i.test(path));
+        const candidates = inputFiles.filter(path => !included.has(path));
+        return (candidates.length > 0 ? candidates : inputFiles)
+            .sort((a, b) => (hasIncludes.has(b) - hasIncludes.has(a)) || a.localeCompare(b));
+    }
+
+    // Replace the *INCLUDE keywords of the master file with the contents of
+    // the included files, recursively. Returns { content, included, missing }
+    // where missing lists { input, from } of the includes not in `files`.
+    function resolveIncludes(master, files) {
+        const paths = Object.keys(files);
+        const included = [];
+        const missing = [];
+        const expand = (path, stack) => {
+            const lines = files[path].split('\n');
+            const includes = new Map(includeLines(files[path]).map(item => [item.lineNumber - 1, item.input]));
+            return lines.map((line, idx) => {
+                if (!includes.has(idx)) return line;
+                const input = includes.get(idx);
+                if (typeof input !== 'string') {
+                    throw new ParseError(`*INCLUDE without INPUT in ${path}`, idx + 1);
+                }
+                const target = findInclude(input, path, paths);
+                if (!target) {
+                    missing.push({ input, from: path });
+                    return '** ' + line;
+                }
+                if (stack.includes(target)) {
+                    throw new ParseError(`${target} includes itself through ${path}`, idx + 1);
+                }
+                if (!included.includes(target)) {
+                    included.push(target);
+                }
+                return expand(target, stack.concat([target]));
+            }).join('\n');
+        };
+        return { content: expand(master, [master]), included, missing };
+    }
+
+    // Boundary faces of a group of elements given as parallel arrays of
+    // element ids, topological types and connectivities, see
+    // extract_surface_faces. Faces shared by two volume elements of the group
+    // are interior and dropped; shell and 2D elements are passed through.
+    // Returns [faces, faceElements] with the element id of each face.
+    function extractBoundaryFaces(ids, types, connectivities) {
+        const faceKey = nodes => faceCorners(nodes).slice().sort((a, b) => a - b).join(',');
+        const faceCount = new Map();
+
+        ids.forEach((id, idx) => {
+            const faces = VOLUME_TO_SURFACE_FACES[types[idx]];
+            if (!faces) return;
+            faces.forEach(local => {
+                const key = faceKey(local.map(i => connectivities[idx][i - 1]));
+                faceCount.set(key, (faceCount.get(key) || 0) + 1);
+            });
+        });
+
+        const boundaryFaces = [];
+        const faceElements = [];
+        ids.forEach((id, idx) => {
+            const faces = VOLUME_TO_SURFACE_FACES[types[idx]];
+            if (!faces) return;
+            faces.forEach(local => {
+                const face = local.map(i => connectivities[idx][i - 1]);
+                if (faceCount.get(faceKey(face)) === 1) {
+                    boundaryFaces.push(face);
+                    faceElements.push(id);
+                }
+            });
+        });
+
+        ids.forEach((id, idx) => {
+            const faces = SHELL_TO_SURFACE_FACES[types[idx]];
+            if (!faces) return;
+            faces.forEach(local => {
+                boundaryFaces.push(local.map(i => connectivities[idx][i - 1]));
+                faceElements.push(id);
+            });
+        });
+
+        return [boundaryFaces, faceElements];
+    }
+
+    // Extract boundary faces of the mesh for visualization
+    function extractSurfaceFaces(mesh) {
+        const ids = Array.from(mesh.elements.keys());
+        return extractBoundaryFaces(
+            ids, ids.map(id => mesh.element_types.get(id)), ids.map(id => mesh.elements.get(id)));
+    }
+
+    // Reverse the orientation of a face, keeping midside nodes between their corners
+    function flipFace(face) {
+        const corners = faceCorners(face);
+        const n = corners.length;
+        const flipped = [corners[0], ...corners.slice(1).reverse()];
+        return face.length === n ? flipped : flipped.concat(face.slice(n).reverse());
+    }
+
+    // Nodes of a side of an element given its connectivity: S1, S2, ... of
+    // solid elements (see SURFACE_ELEMENT_MAPPING), SPOS and SNEG of shells.
+    // Null for sides the element doesn't have.
+    function elementSideNodes(type, connectivity, side) {
+        const local = (SURFACE_ELEMENT_MAPPING[type] || {})[side];
+        if (local) {
+            return local.map(i => connectivity[i - 1]);
+        }
+        const shell = SHELL_TO_SURFACE_FACES[type];
+        if (shell && (side === 'SPOS' || side === 'SNEG')) {
+            const face = shell[0].map(i => connectivity[i - 1]);
+            return side === 'SPOS' ? face : flipFace(face);
+        }
+        return null;
+    }
+
+    // Faces of an element type as local (1-based) nodes, outward for
+    // volume elements; none for line elements
+    function elementFaces(type) {
+        return VOLUME_TO_SURFACE_FACES[type] || SHELL_TO_SURFACE_FACES[type] || [];
+    }
+
+    // Resolve element-based surfaces to face polygons oriented out of their
+    // parent elements, see extract_surfaces. Returns name -> { faces, sides, skipped }.
+    function extractSurfaces(mesh) {
+        const surfaces = {};
+        Object.entries(mesh.surface_sets).forEach(([name, surface]) => {
+            const faces = [];
+            const sides = [];
+            let skipped = 0;
+
+            surface.forEach(([id, side]) => {
+                const connectivity = mesh.elements.get(id);
+                const local = connectivity && (SURFACE_ELEMENT_MAPPING[mesh.element_types.get(id)] || {})[side];
+                if (!local) {
+                    skipped++;
+                    return;
+                }
+                let face = local.map(i => connectivity[i - 1]);
+
+                // Flip the face if its normal points towards the element centroid
+                const corners = faceCorners(face).map(nid => mesh.nodes.get(nid));
+                const center = points => [0, 1, 2].map(k =>
+                    points.reduce((sum, p) => sum + p[k], 0) / points.length);
+                const faceCenter = center(corners);
+                const elementCenter = center(connectivity.map(nid => mesh.nodes.get(nid)));
+                const normal = [0, 0, 0];
+                corners.forEach((a, i) => {
+                    const b = corners[(i + 1) % corners.length];
+                    normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+                    normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+                    normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+                });
+                const outward = [0, 1, 2].reduce(
+                    (sum, k) => sum + normal[k] * (faceCenter[k] - elementCenter[k]), 0);
+                if (outward < 0) {
+                    face = flipFace(face);
+                }
+
+                faces.push(face);
+                sides.push([id, side]);
+            });
+
+            surfaces[name] = { faces, sides, skipped };
+        });
+        return surfaces;
+    }
+
+    // Extract line elements as [element_id, node_ids] pairs sorted by element id
+    function extractLineElements(mesh) {
+        const lines = [];
+        const ids = Array.from(mesh.elements.keys()).sort((a, b) => a - b);
+        ids.forEach(id => {
+            const local = LINE_ELEMENT_NODES[mesh.element_types.get(id)];
+            if (!local) return;
+            const connectivity = mesh.elements.get(id);
+            lines.push([id, local.map(i => connectivity[i - 1])]);
+        });
+        return lines;
+    }
+
+    // Convert parsed mesh to the same format as the backend's mesh_to_json
+    function meshToJson(mesh) {
+        const result = {};
+
+        const nodeIds = Array.from(mesh.nodes.keys()).sort((a, b) => a - b);
+        const nodeMap = new Map(nodeIds.map((id, idx) => [id, idx]));  // 0-based for JS
+
+        // Like the backend, which fails with a KeyError there
+        mesh.elements.forEach((connectivity, id) => {
+            const missing = connectivity.find(nid => !nodeMap.has(nid));
+            if (missing !== undefined) {
+                throw new ParseError(`Element ${id} refers to node ${missing}, which is not defined`);
+            }
+        });
+        result.nodes = nodeIds.map(id => mesh.nodes.get(id));
+        result.node_ids = nodeIds;
+
+        const [surfaceFaces, faceElements] = extractSurfaceFaces(mesh);
+        result.elements = surfaceFaces.map(face => face.map(nid => nodeMap.get(nid)));
+        result.element_types = surfaceFaces.map(face => FACE_TYPES[face.length] || 'Polygon');
+        result.face_elements = faceElements;
+
+        const cellIds = Array.from(mesh.elements.keys()).sort((a, b) => a - b);
+        result.cells = {
+            ids: cellIds,
+            codes: cellIds.map(id => mesh.element_codes.get(id)),
+            types: cellIds.map(id => mesh.element_types.get(id)),
+            connectivity: cellIds.map(id => mesh.elements.get(id).map(nid => nodeMap.get(nid)))
+        };
+
+        const lineElements = extractLineElements(mesh);
+        result.lines = lineElements.map(([, nodes]) => nodes.map(nid => nodeMap.get(nid)));
+        result.line_types = lineElements.map(([id]) => mesh.element_types.get(id));
+        result.line_elements = lineElements.map(([id]) => id);
+
+        result.element_sets = mesh.element_sets;
+        result.node_sets = mesh.node_sets;
+        result.surface_sets = mesh.surface_sets;
+
+        result.surfaces = {};
+        Object.entries(extractSurfaces(mesh)).forEach(([name, surface]) => {
+            result.surfaces[name] = {
+                type: mesh.surface_types[name] || 'UNKNOWN',
+                faces: surface.faces.map(face => face.map(nid => nodeMap.get(nid))),
+                face_types: surface.faces.map(face => FACE_TYPES[face.length] || 'Polygon'),
+                face_elements: surface.sides.map(([id]) => id),
+                skipped: surface.skipped
+            };
+        });
+
+        result.stats = {
+            num_nodes: result.nodes.length,
+            num_elements: mesh.elements.size,
+            num_element_sets: Object.keys(mesh.element_sets).length,
+            num_node_sets: Object.keys(mesh.node_sets).length,
+            num_surfaces: Object.keys(mesh.surface_sets).length,
+            num_surface_faces: surfaceFaces.length,
+            num_line_elements: lineElements.length
+        };
+
+        if (mesh.parts) {
+            result.has_parts = true;
+            result.part_names = Object.keys(mesh.parts);
+            result.part_elements = mesh.part_elements;
+            result.part_nodes = mesh.part_nodes;
+            result.instances = mesh.instances;
+        } else {
+            result.has_parts = false;
+        }
+
+        return result;
+    }
+
+    return {
+        ParseError,
+        FACE_TYPES,
+        parseMesh,
+        meshToJson,
+        extractBoundaryFaces,
+        elementFaces,
+        elementSideNodes,
+        masterCandidates,
+        resolveIncludes
+    };
+})();
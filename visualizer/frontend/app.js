@@ -1,4 +1,51 @@
-const { createApp, markRaw } = Vue;
+const { createApp, markRaw, toRaw } = Vue;
+
+// Scene objects showing the model: removed when a new file is loaded and
+// clipped by the section planes
+const MODEL_OBJECTS = ['mesh', 'solidMesh', 'shrinkMesh', 'pointsMesh', 'lineMesh', 'profileMesh', 'highlightMesh', 'setMesh', 'checkMesh', 'loadMesh'];
+
+// Initial normals of new section planes
+const SECTION_PLANE_NORMALS = {
+    X: [1, 0, 0],
+    Y: [0, 1, 0],
+    Z: [0, 0, 1],
+    Free: [1, 1, 1]
+};
+
+// Accept header of mesh requests: the binary format of the backend if it
+// has one, see binary_mesh.js
+const MESH_ACCEPT = `${BinaryMesh.MIME_TYPE}, application/json`;
+
+// Files read from drops and archives: input decks and their includes
+const INPUT_FILE_PATTERN = /\.(inp|inc|dat)$/i;
+
+// Results of MeshCheck.checkMesh and their highlight colors
+const MESH_CHECKS = [
+    { key: 'duplicateNodes', label: 'Duplicate nodes', color: 0xCB3C33 },
+    { key: 'orphanNodes', label: 'Orphan nodes', color: 0xFF8800 },
+    { key: 'invertedCells', label: 'Inverted elements', color: 0xFF00FF },
+    { key: 'degenerateCells', label: 'Zero-volume elements', color: 0xFFCC00 },
+    { key: 'freeEdges', label: 'Free edges', color: 0xFF3030 }
+];
+
+// Glyph colors of the constrained DOFs 1 and 4 (x), 2 and 5 (y), 3 and 6 (z),
+// of concentrated forces and of pressures
+const DOF_COLORS = [0xCB3C33, 0x389826, 0x4063D8];
+const FORCE_COLOR = 0xFF8800;
+const PRESSURE_COLOR = 0xE040FB;
+
+// Measured nodes and dimension annotations, like the picked node
+const MEASURE_COLOR = 0xFFCC00;
+
+// Nodes picked for each kind of measurement
+const MEASURE_NODES = { distance: 2, angle: 3, radius: 3 };
+
+// Local storage key of the length unit setting
+const UNITS_KEY = 'abaqus-visualizer-units';
+
+// Distance the exploded view adds to the distance of a part or element set
+// from the model center, relative to it, at the full slider
+const EXPLODE_SCALE = 1.5;
 
 createApp({
     data() {
@@ -15,8 +62,52 @@ createApp({
             renderer: null,
             controls: null,
             mesh: null,
-            solidMesh: null,
+            solidMesh: null,  // Group of one solid mesh per part instance
+            instanceList: [],  // { name, part, color, visible, nodes, elements, size } of assembly instances
+            shrinkMesh: null,  // Group of all elements shrunk towards their centroids, per part instance
+            explodeFactor: 0,  // Exploded view slider, 0 for the assembled model
+            explodeBy: 'part',  // 'part' or 'elset', the groups moved apart by the exploded view
             pointsMesh: null,
+            lineMesh: null,  // Beam, truss and connector elements
+            profileMesh: null,  // Extruded beam cross-sections
+            highlightMesh: null,  // Picked node or element
+            picked: null,  // Inspector contents of the picked node or element
+            setMesh: null,  // Highlighted element set or node set
+            setFilter: '',  // Search text of the set browser
+            selectedSet: null,  // { kind: 'elset' | 'nset' | 'surface', name }
+            isolateSet: false,  // Hide everything but the selected element set or surface
+            showNormals: false,  // Show face normals of the selected surface
+            sectionPlanes: [],  // { id, axis } of the clipping planes, see planeEntries
+            activePlaneId: null,  // Section plane attached to the gizmo
+            gizmoMode: 'translate',  // 'translate' or 'rotate' (free planes only)
+            colorMode: 'uniform',  // 'uniform', 'quality' or 'category'
+            colorBy: 'uniform',  // Key of MeshColors.MODES
+            colorLegend: [],  // { name, color, count } of the categories of colorBy
+            qualityMetric: '',  // Key of MeshQuality.METRICS, '' when off
+            qualityMin: 0,  // Color range of the metric
+            qualityMax: 1,
+            qualityDataMin: 0,  // Range of the metric over all elements
+            qualityDataMax: 1,
+            qualityHistogram: [],  // { count, from, to, height, color } per bin
+            qualityWorst: [],  // { id, value } of the worst elements
+            qualityWorstCount: 10,
+            qualityMetricOptions: MeshQuality.METRICS,
+            loadMesh: null,  // Glyphs of the boundary conditions and loads
+            loadStep: -1,  // Step whose conditions are shown, -1 for the initial ones
+            showLoads: true,
+            loadSummary: null,  // { constraints, forces, pressures, skipped } counts of the glyphs
+            checkMesh: null,  // Highlighted problems of the mesh check
+            measureMode: '',  // 'distance', 'angle' or 'radius' while picking nodes to measure, see MEASURE_NODES
+            measurePoints: [],  // { id, coordinates } of the nodes picked for the next measurement
+            measurements: [],  // { id, kind, value, ... } of the annotated measurements, see addMeasurePoint
+            measureError: null,
+            units: '',  // Length unit of the model for the labels, see Measure.UNITS
+            unitOptions: Measure.UNITS,
+            meshChecks: [],  // { key, label, count, color, visible } per check, see MESH_CHECKS
+            massScope: 'model',  // 'model', 'part:<name>' or 'elset:<name>' of the Properties panel
+            massProperties: null,  // MassProperties.summarize of massScope with its surfaceArea, null until opened
+            exportFormat: 'stl-binary',
+            exportMessage: null,
             apiUrl: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
                 ? 'http://localhost:8080'
                 : 'https://abaqusreaderjl-production.up.railway.app',
@@ -29,20 +120,108 @@ createApp({
             showWhy: false,
             showWhyButton: false,
             whyButtonTimeout: null,
+            parseStage: '',  // Upload or server-side parse stage shown while loading
+            parseProgress: null,  // Fraction of the upload done, null when unknown
+            buildProgress: null,  // Fraction of the geometry built in the worker, null when idle
             initialLoading: true,
             loadingProgress: 0,
             loadingMessage: 'Initializing...',
             showSlowWarning: false,
             slowWarningTimeout: null,
+            masterChoices: [],  // Paths of possible master files when several were dropped
             testFiles: [],  // Available test files
             selectedTestFile: '',  // Currently selected test file
+            serverParsing: false,  // Upload files to the backend for full model parsing
             showSolid: true,  // Show solid mesh
             showWireframe: false,  // Show wireframe
-            showPoints: false  // Show points
+            showShrink: false,  // Show every element shrunk instead of the solid mesh and wireframe
+            shrinkFactor: 0.8,  // Scale of the shrunk elements about their centroids
+            showPoints: false,  // Show points
+            showLines: true,  // Show line elements
+            showProfiles: false,  // Show beam cross-sections
+            hasProfiles: false,  // Whether any line element has a drawable section
+            curveSubdivisions: 4,  // Sub-triangles per edge of quadratic faces
+            hasQuadraticFaces: false
         };
     },
 
+    computed: {
+        legendGradient() {
+            return MeshQuality.colormapGradient();
+        },
+
+        // Instances grouped by part for the part tree
+        instanceTree() {
+            const tree = [];
+            this.instanceList.forEach((instance, index) => {
+                let part = tree.find(entry => entry.part === instance.part);
+                if (!part) {
+                    part = { part: instance.part, color: instance.color, instances: [] };
+                    tree.push(part);
+                }
+                part.instances.push({ ...instance, index });
+            });
+            return tree;
+        },
+
+        hasLoads() {
+            return Boolean(this.modelData) && BoundaryConditions.allConditions(this.modelData).length > 0;
+        },
+
+        dofColors() {
+            return DOF_COLORS.map(color => '#' + color.toString(16).padStart(6, '0'));
+        },
+
+        colorByOptions() {
+            return this.meshData ? MeshColors.availableModes(this.meshData) : [];
+        },
+
+        massScopes() {
+            if (!this.meshData) return [];
+            const scopes = [{ key: 'model', label: 'Model' }];
+            this.instanceTree.forEach(({ part }) => {
+                scopes.push({ key: `part:${part}`, label: `Part ${part}` });
+            });
+            Object.keys(this.meshData.element_sets).sort().forEach(name => {
+                scopes.push({ key: `elset:${name}`, label: `Element set ${name}` });
+            });
+            return scopes;
+        },
+
+        explodeOptions() {
+            if (!this.meshData) return [];
+            const options = [];
+            if (this.instanceList.length > 1) {
+                options.push({ key: 'part', label: 'Part' });
+            }
+            if (Object.keys(this.meshData.element_sets).length > 0) {
+                options.push({ key: 'elset', label: 'Element set' });
+            }
+            return options;
+        },
+
+        filteredSets() {
+            if (!this.meshData) return [];
+            const filter = this.setFilter.trim().toLowerCase();
+            const sets = [];
+            [['elset', this.meshData.element_sets], ['nset', this.meshData.node_sets]].forEach(([kind, group]) => {
+                Object.keys(group).sort().forEach(name => {
+                    if (!filter || name.toLowerCase().includes(filter)) {
+                        sets.push({ kind, name, count: group[name].length });
+                    }
+                });
+            });
+            Object.keys(this.meshData.surfaces || {}).sort().forEach(name => {
+                if (!filter || name.toLowerCase().includes(filter)) {
+                    sets.push({ kind: 'surface', name, count: this.meshData.surfaces[name].faces.length });
+                }
+            });
+            return sets;
+        }
+    },
+
     mounted() {
+        this.units = window.localStorage.getItem(UNITS_KEY) || '';
         this.initThreeJS();
         this.startInitialLoading();
         window.addEventListener('resize', this.onWindowResize);
@@ -71,38 +250,21 @@ createApp({
 
     methods: {
         async startInitialLoading() {
-            const startTime = Date.now(); // Track when loading started
-
             // Set timeout to show warning after 5 seconds
             this.slowWarningTimeout = setTimeout(() => {
                 this.showSlowWarning = true;
             }, 5000);
 
-            // Simulate progress from 0 to 100%
-            const progressInterval = setInterval(() => {
-                if (this.loadingProgress < 95) {
-                    this.loadingProgress += Math.random() * 5;
-                    if (this.loadingProgress > 95) {
-                        this.loadingProgress = 95;
-                    }
-                }
-
-                // Update loading message based on progress
-                if (this.loadingProgress < 30) {
-                    this.loadingMessage = 'Initializing...';
-                } else if (this.loadingProgress < 60) {
-                    this.loadingMessage = 'Connecting to backend...';
-                } else if (this.loadingProgress < 95) {
-                    this.loadingMessage = 'Waking up Railway backend...';
-                }
-            }, 100);
-
-            // Try to connect to backend with retries
+            // Try to connect to backend with retries, the progress follows the
+            // attempts: a warm backend answers the first one
             const maxRetries = 30; // Up to ~30 seconds
-            let retries = 0;
             let connected = false;
 
-            while (retries < maxRetries && !connected) {
+            for (let attempt = 0; attempt < maxRetries; attempt++) {
+                this.loadingProgress = 100 * attempt / maxRetries;
+                this.loadingMessage = attempt === 0
+                    ? 'Connecting to backend...'
+                    : `Waking up Railway backend... (attempt ${attempt + 1}/${maxRetries})`;
                 try {
                     const response = await fetch(`${this.apiUrl}/health`, {
                         method: 'GET',
@@ -117,30 +279,19 @@ createApp({
                     // Backend not ready yet, retry
                 }
 
-                retries++;
                 await new Promise(resolve => setTimeout(resolve, 1000));
             }
 
-            // Ensure minimum loading time of 10 seconds so users can see the full experience
-            const elapsedTime = Date.now() - startTime;
-            const minimumLoadingTime = 10000; // 10 seconds
-            if (elapsedTime < minimumLoadingTime) {
-                await new Promise(resolve => setTimeout(resolve, minimumLoadingTime - elapsedTime));
-            }
-
             // Cleanup and finish loading
-            clearInterval(progressInterval);
             clearTimeout(this.slowWarningTimeout);
             this.slowWarningTimeout = null;
 
             if (connected) {
-                this.loadingProgress = 100;
-                this.loadingMessage = 'Ready!';
-
-                // Brief pause to show "Ready!" message
-                await new Promise(resolve => setTimeout(resolve, 500));
-
-                this.initialLoading = false;
+                if (this.initialLoading) {
+                    this.loadingProgress = 100;
+                    this.loadingMessage = 'Ready!';
+                    this.initialLoading = false;
+                }
 
                 // Now check connection status for the header indicator
                 await this.checkConnection();
@@ -155,6 +306,12 @@ createApp({
             }
         },
 
+        continueOffline() {
+            // Files are parsed in the browser, the backend keeps waking up in
+            // the background and demo models appear once it's reachable
+            this.initialLoading = false;
+        },
+
         initThreeJS() {
             const container = this.$refs.canvasContainer;
 
@@ -174,6 +331,7 @@ createApp({
             // Renderer
             this.renderer = markRaw(new THREE.WebGLRenderer({ antialias: true }));
             this.renderer.setSize(container.clientWidth, container.clientHeight);
+            this.renderer.localClippingEnabled = true;  // Section planes
             container.appendChild(this.renderer.domElement);
 
             // Controls
@@ -181,6 +339,16 @@ createApp({
             this.controls.enableDamping = true;
             this.controls.dampingFactor = 0.05;
 
+            // Gizmo for dragging section planes
+            this.planeEntries = [];
+            this.transformControls = markRaw(new THREE.TransformControls(this.camera, this.renderer.domElement));
+            this.transformControls.setSpace('local');
+            this.transformControls.addEventListener('dragging-changed', e => {
+                this.controls.enabled = !e.value;
+            });
+            this.transformControls.addEventListener('objectChange', () => this.updateSectionPlanes());
+            this.scene.add(this.transformControls);
+
             // Lights
             const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
             this.scene.add(ambientLight);
@@ -197,6 +365,21 @@ createApp({
             this.axesHelper = new THREE.AxesHelper(20);
             this.scene.add(this.axesHelper);
 
+            // Picking: a click (not a drag of the camera) selects a node or element
+            this.raycaster = markRaw(new THREE.Raycaster());
+            const canvas = this.renderer.domElement;
+            canvas.addEventListener('pointerdown', e => {
+                // Clicks on the gizmo move section planes instead
+                this.pointerDown = this.transformControls.axis ? null : { x: e.clientX, y: e.clientY };
+            });
+            canvas.addEventListener('pointerup', e => {
+                const down = this.pointerDown;
+                if (down && Math.hypot(e.clientX - down.x, e.clientY - down.y) < 5) {
+                    this.pickAt(e.clientX, e.clientY);
+                }
+                this.pointerDown = null;
+            });
+
             // Animation loop
             this.animate();
         },
@@ -306,13 +489,15 @@ createApp({
             this.fileName = this.selectedTestFile;
 
             try {
-                const response = await fetch(`${this.apiUrl}/testdata/load?file=${encodeURIComponent(this.selectedTestFile)}`);
-                const data = await response.json();
+                const response = await fetch(`${this.apiUrl}/testdata/load?file=${encodeURIComponent(this.selectedTestFile)}`, {
+                    headers: { 'Accept': MESH_ACCEPT }
+                });
+                const data = await this.readMeshResponse(response);
 
                 if (data.success) {
                     this.meshData = data;
                     this.modelData = data.model || null;
-                    this.visualizeMesh(data);
+                    await this.visualizeMesh(data);
                 } else {
                     this.error = data.error || 'Failed to load test file';
                     this.errorDetails = data.error_details || '';
@@ -330,61 +515,201 @@ createApp({
             return name.replace('.inp', '').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
         },
 
-        handleDrop(e) {
+        async handleDrop(e) {
             this.dragging = false;
             e.preventDefault();
+            // Entries have to be taken before the first await, the drop data
+            // is cleared when the event handler returns
+            const items = Array.from(e.dataTransfer?.items || []);
+            const entries = items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+            if (entries.length > 0) {
+                const files = [];
+                for (const entry of entries) {
+                    await this.collectEntryFiles(entry, files);
+                }
+                this.processFiles(files);
+                return;
+            }
             const files = e.dataTransfer?.files;
             if (files && files.length > 0) {
-                this.processFile(files[0]);
+                this.processFiles(Array.from(files).map(file => ({ path: file.name, file })));
+            }
+        },
+
+        // Files of a dropped file or directory entry with their relative paths
+        async collectEntryFiles(entry, files) {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ path: entry.fullPath.replace(/^\//, ''), file });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns the directory contents in batches
+                for (;;) {
+                    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    if (batch.length === 0) break;
+                    for (const child of batch) {
+                        await this.collectEntryFiles(child, files);
+                    }
+                }
             }
         },
 
         handleFileSelect(e) {
             const files = e.target?.files;
             if (files && files.length > 0) {
-                this.processFile(files[0]);
+                this.processFiles(Array.from(files).map(file => ({ path: file.webkitRelativePath || file.name, file })));
             }
+            e.target.value = '';
         },
 
-        async processFile(file) {
-            if (!file.name.endsWith('.inp')) {
-                this.error = 'Please select an ABAQUS .inp file';
+        // Load the master file of the given { path, file } list, with its
+        // *INCLUDE files resolved against the other files. Gzipped files and
+        // zip archives are decompressed first.
+        async processFiles(entries) {
+            this.loading = true;
+            this.error = null;
+            this.errorDetails = null;
+
+            const files = {};
+            try {
+                const decoder = new TextDecoder();
+                for (const { path, file } of entries) {
+                    if (ArchiveReader.isArchive(path)) {
+                        const extracted = await ArchiveReader.extract(path, new Uint8Array(await file.arrayBuffer()));
+                        extracted.forEach(item => {
+                            if (INPUT_FILE_PATTERN.test(item.path)) {
+                                files[item.path] = decoder.decode(item.data);
+                            }
+                        });
+                    } else if (INPUT_FILE_PATTERN.test(path)) {
+                        files[path] = await file.text();
+                    }
+                }
+            } catch (err) {
+                this.error = 'Failed to read file: ' + err.message;
+                this.loading = false;
+                return;
+            }
+
+            const candidates = AbaqusReader.masterCandidates(files);
+            if (candidates.length === 0) {
+                this.error = 'Please select an ABAQUS .inp file, or a .inp.gz or .zip file containing one';
+                this.loading = false;
                 return;
             }
+            if (candidates.length > 1) {
+                // Let the user pick, see chooseMaster
+                this.pendingFiles = files;
+                this.masterChoices = candidates;
+                this.loading = false;
+                return;
+            }
+            await this.loadMaster(candidates[0], files);
+        },
 
-            this.fileName = file.name;
+        chooseMaster(path) {
+            const files = this.pendingFiles;
+            this.cancelMasterChoice();
             this.loading = true;
-            this.error = null;
-            this.errorDetails = null;
+            this.loadMaster(path, files);
+        },
+
+        cancelMasterChoice() {
+            this.masterChoices = [];
+            this.pendingFiles = null;
+        },
 
+        async loadMaster(master, files) {
+            this.fileName = master.split('/').pop();
+            let content;
             try {
-                const content = await file.text();
-                await this.parseFile(content);
+                const resolved = AbaqusReader.resolveIncludes(master, files);
+                if (resolved.missing.length > 0) {
+                    this.error = `${resolved.missing.length} included file(s) of ${this.fileName} were not provided. `
+                        + 'Drop them together with the master file, or drop the whole folder.';
+                    this.errorDetails = resolved.missing.map(({ input, from }) => `${input} (included from ${from})`).join('\n');
+                    this.loading = false;
+                    return;
+                }
+                if (resolved.included.length > 0) {
+                    console.log('Included files:', resolved.included);
+                }
+                content = resolved.content;
             } catch (err) {
                 this.error = 'Failed to read file: ' + err.message;
                 this.loading = false;
+                return;
+            }
+
+            if (this.serverParsing && this.connected) {
+                await this.parseFile(content);
+            } else {
+                this.parseLocally(content);
+            }
+        },
+
+        parseLocally(content) {
+            // Mesh-only parsing in the browser, the file never leaves this computer
+            try {
+                const mesh = AbaqusReader.parseMesh(content);
+                const data = AbaqusReader.meshToJson(mesh);
+                data.success = true;
+                data.parse_type = 'mesh';
+                data.parsed_locally = true;
+                this.meshData = data;
+                this.modelData = null;
+                // Force Vue to update before visualizing
+                this.$nextTick(() => this.drawMesh(data));
+            } catch (err) {
+                this.error = 'Failed to parse file: ' + err.message;
+                this.errorDetails = err.stack || null;
+                console.error('Error parsing file:', err);
+            } finally {
+                this.loading = false;
             }
         },
 
         async parseFile(content) {
             try {
-                const response = await fetch(`${this.apiUrl}/parse`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'text/plain',
-                    },
-                    body: content
-                });
+                let response;
+                const job = await this.uploadParseJob(content);
+                if (job) {
+                    // Stage of the server-side parse as it happens, without a
+                    // fraction done; the result request waits for the job to finish
+                    this.parseStage = 'Parsing on the server...';
+                    this.parseProgress = null;
+                    const events = new EventSource(`${this.apiUrl}/parse/jobs/${job}/events`);
+                    events.onmessage = event => {
+                        this.parseStage = JSON.parse(event.data).stage;
+                    };
+                    events.onerror = () => events.close();  // Progress is optional
+                    try {
+                        response = await fetch(`${this.apiUrl}/parse/jobs/${job}/result`, {
+                            headers: { 'Accept': MESH_ACCEPT }
+                        });
+                    } finally {
+                        events.close();
+                    }
+                } else {
+                    // Backend without parse jobs
+                    response = await fetch(`${this.apiUrl}/parse`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'text/plain',
+                            'Accept': MESH_ACCEPT
+                        },
+                        body: content
+                    });
+                }
+                this.parseProgress = null;
 
-                const data = await response.json();
+                const data = await this.readMeshResponse(response);
 
                 if (data.success) {
                     this.meshData = data;
                     this.modelData = data.model || null;
                     // Force Vue to update before visualizing
-                    this.$nextTick(() => {
-                        this.visualizeMesh(data);
-                    });
+                    this.$nextTick(() => this.drawMesh(data));
                 } else {
                     this.error = data.error || 'Unknown error occurred';
                     this.errorDetails = data.error_details || null;
@@ -394,150 +719,190 @@ createApp({
                 this.errorDetails = 'Make sure the backend server is running at ' + this.apiUrl;
             } finally {
                 this.loading = false;
+                this.parseStage = '';
+                this.parseProgress = null;
+            }
+        },
+
+        // Upload the file to POST /parse/jobs showing the upload progress.
+        // Resolves to the job id, or null if the backend has no parse jobs.
+        uploadParseJob(content) {
+            return new Promise((resolve, reject) => {
+                const request = new XMLHttpRequest();
+                request.open('POST', `${this.apiUrl}/parse/jobs`);
+                request.setRequestHeader('Content-Type', 'text/plain');
+                this.parseStage = 'Uploading...';
+                this.parseProgress = 0;
+                request.upload.onprogress = event => {
+                    if (event.lengthComputable) {
+                        this.parseProgress = event.loaded / event.total;
+                    }
+                };
+                request.onload = () => {
+                    if (request.status === 404) {
+                        resolve(null);
+                        return;
+                    }
+                    try {
+                        const data = JSON.parse(request.responseText);
+                        if (data.job) {
+                            resolve(data.job);
+                        } else {
+                            reject(new Error(data.error || `HTTP ${request.status}`));
+                        }
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+                request.onerror = () => reject(new Error('Network error'));
+                request.send(content);
+            });
+        },
+
+        // Mesh data of a /parse or /testdata/load response, binary or JSON
+        async readMeshResponse(response) {
+            const type = response.headers.get('Content-Type') || '';
+            if (type.includes(BinaryMesh.MIME_TYPE)) {
+                return BinaryMesh.decode(await response.arrayBuffer());
             }
+            return response.json();
         },
 
-        visualizeMesh(data) {
+        // visualizeMesh, its errors shown like those of parsing
+        async drawMesh(data) {
+            try {
+                await this.visualizeMesh(data);
+            } catch (err) {
+                this.error = 'Failed to visualize mesh: ' + err.message;
+                this.errorDetails = err.stack || null;
+                console.error('Error visualizing mesh:', err);
+            }
+        },
+
+        async visualizeMesh(data) {
             console.log('visualizeMesh called with data:', data);
             console.log('Nodes:', data.nodes.length, 'Elements:', data.elements.length);
 
             // Remove old meshes
-            if (this.mesh) {
-                this.scene.remove(this.mesh);
-                this.mesh.geometry.dispose();
-                this.mesh.material.dispose();
-                this.mesh = null;
-            }
-            if (this.solidMesh) {
-                this.scene.remove(this.solidMesh);
-                this.solidMesh.geometry.dispose();
-                this.solidMesh.material.dispose();
-                this.solidMesh = null;
-            }
-            if (this.pointsMesh) {
-                this.scene.remove(this.pointsMesh);
-                this.pointsMesh.geometry.dispose();
-                this.pointsMesh.material.dispose();
-                this.pointsMesh = null;
-            }
+            this.clearScene();
 
             const nodes = data.nodes;
-            const elements = data.elements;
 
             if (nodes.length === 0) {
                 this.error = 'No nodes found in mesh';
                 return;
             }
 
+            // Original ABAQUS ids -> 0-based indices
+            this.nodeIndexById = new Map(Array.from(data.node_ids, (id, idx) => [id, idx]));
+            this.cellIndexById = new Map(Array.from(data.cells.ids, (id, idx) => [id, idx]));
+
+            // Parts of assemblies are moved to their instances before anything is drawn
+            this.setupInstances(data);
+            this.explodeBy = this.instanceList.length > 1 ? 'part' : 'elset';
+
             console.log('Creating geometry...');
 
             // Create geometry
             const geometry = new THREE.BufferGeometry();
 
-            // Vertices
-            const vertices = [];
-            nodes.forEach(node => {
-                vertices.push(node[0], node[1], node[2] || 0);
-            });
+            // Vertices, the binary transport sends them ready to use
+            let vertices = data.positions;
+            if (!vertices) {
+                vertices = new Float32Array(nodes.length * 3);
+                nodes.forEach((node, idx) => {
+                    vertices[idx * 3] = node[0];
+                    vertices[idx * 3 + 1] = node[1];
+                    vertices[idx * 3 + 2] = node[2] || 0;
+                });
+            }
             geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
 
-            // Edges (wireframe)
-            const edges = [];
-            const edgeSet = new Set();
-
-            elements.forEach(elem => {
-                // Create edges for each element
-                for (let i = 0; i < elem.length; i++) {
-                    const v1 = elem[i];
-                    const v2 = elem[(i + 1) % elem.length];
-                    const edge = v1 < v2 ? `${v1}-${v2}` : `${v2}-${v1}`;
-                    if (!edgeSet.has(edge)) {
-                        edgeSet.add(edge);
-                        edges.push(v1, v2);
-                    }
-                }
-            });
-
-            const edgeGeometry = new THREE.BufferGeometry();
-            edgeGeometry.setAttribute('position', geometry.getAttribute('position'));
-            edgeGeometry.setIndex(edges);
-
-            // Create solid faces with Julia purple material
-            const solidMaterial = new THREE.MeshPhongMaterial({
-                color: 0x9558B2,  // Julia purple
-                side: THREE.DoubleSide,
-                flatShading: true,
-                opacity: 1.0,
-                transparent: false,
-                depthWrite: true
-            });
-
-            // Create mesh from elements as faces
-            const faceIndices = [];
-            elements.forEach((elem, idx) => {
-                const elemType = data.element_types[idx];
-                
-                if (elemType === 'Tri3' && elem.length === 3) {
-                    // Triangle - add directly
-                    faceIndices.push(elem[0], elem[1], elem[2]);
-                } else if (elemType === 'Quad4' && elem.length === 4) {
-                    // Quad - split into two triangles
-                    // Triangle 1: v0, v1, v2
-                    faceIndices.push(elem[0], elem[1], elem[2]);
-                    // Triangle 2: v0, v2, v3
-                    faceIndices.push(elem[0], elem[2], elem[3]);
-                } else {
-                    // Fallback: fan triangulation for polygons
-                    for (let i = 1; i < elem.length - 1; i++) {
-                        faceIndices.push(elem[0], elem[i], elem[i + 1]);
-                    }
-                }
-            });
-
-            const faceGeometry = new THREE.BufferGeometry();
-            faceGeometry.setAttribute('position', geometry.getAttribute('position'));
-            faceGeometry.setIndex(faceIndices);
-            faceGeometry.computeVertexNormals();
-
-            const solidMesh = markRaw(new THREE.Mesh(faceGeometry, solidMaterial));
-            this.solidMesh = solidMesh;
-            this.scene.add(solidMesh);
-            console.log('Added solid mesh to scene');
-
-            // Create wireframe edges
-            const edgeMaterial = new THREE.LineBasicMaterial({
-                color: 0x389826,  // Julia green
-                linewidth: 4
-            });
-
-            // Create mesh - wrapped with markRaw
-            this.mesh = markRaw(new THREE.LineSegments(edgeGeometry, edgeMaterial));
-            this.scene.add(this.mesh);
-            console.log('Added wireframe to scene');
-
-            // Add points for nodes
+            // Add points for nodes, those of each part at every instance of it
             const pointsMaterial = new THREE.PointsMaterial({
                 color: 0xCB3C33,  // Julia red
                 size: 6,
                 sizeAttenuation: false
             });
-            const points = markRaw(new THREE.Points(geometry, pointsMaterial));
-            this.pointsMesh = points;
-            this.scene.add(points);
+            this.pointsMesh = markRaw(new THREE.Group());
+            const nodeIndices = Array.from(nodes, (node, idx) => idx);
+            this.groupByPart(nodeIndices, idx => this.nodePart[idx]).forEach((partNodes, part) => {
+                const partGeometry = new THREE.BufferGeometry();
+                partGeometry.setAttribute('position', geometry.getAttribute('position'));
+                partGeometry.setIndex(new THREE.Uint32BufferAttribute(partNodes, 1));
+                this.addInstanceCopies(this.pointsMesh, part, new THREE.Points(partGeometry, pointsMaterial));
+            });
+            this.scene.add(this.pointsMesh);
             console.log('Added points to scene');
 
+            // Solid faces and wireframe edges. A rebuild of this mesh, when the
+            // "Curved faces" slider is moved meanwhile, supersedes the build:
+            // carry on with its result. Null if another mesh was loaded.
+            let built = await this.createSurfaceMeshes(data);
+            let rebuild = null;
+            while (!built && this.surfaceRebuild && this.surfaceRebuild !== rebuild && toRaw(this.meshData) === data) {
+                rebuild = this.surfaceRebuild;
+                built = await rebuild;
+            }
+            if (!built) return;
+            if (this.showShrink) {
+                this.createShrinkMesh();
+            }
+
+            // Line elements (beams, trusses, connectors) as their own layer,
+            // those of each part at every instance of it. Segments don't share
+            // vertices, so that the element sets can be exploded apart.
+            const lines = data.lines || [];
+            if (lines.length > 0) {
+                const lineMaterial = new THREE.LineBasicMaterial({
+                    color: 0x4063D8  // Julia blue
+                });
+                this.lineMesh = markRaw(new THREE.Group());
+                const lineIndices = Array.from(lines, (line, idx) => idx);
+                this.groupByPart(lineIndices, idx => this.nodePart[lines[idx][0]]).forEach((partLines, part) => {
+                    const positions = [];
+                    const segmentLines = [];  // Segment -> line element, for picking
+                    partLines.forEach(idx => {
+                        const line = lines[idx];
+                        for (let i = 0; i < line.length - 1; i++) {
+                            positions.push(...vertices.subarray(3 * line[i], 3 * line[i] + 3),
+                                ...vertices.subarray(3 * line[i + 1], 3 * line[i + 1] + 3));
+                            segmentLines.push(idx);
+                        }
+                    });
+                    const lineGeometry = new THREE.BufferGeometry();
+                    lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                    this.addInstanceCopies(this.lineMesh, part, new THREE.LineSegments(lineGeometry, lineMaterial), {
+                        segmentLines,
+                        segmentCells: segmentLines.map(idx => this.cellIndexById.get(data.line_elements[idx]))
+                    });
+                });
+                this.scene.add(this.lineMesh);
+                console.log('Added line elements to scene');
+            }
+
+            // Beam cross-sections extruded along line elements, if sections are known
+            this.createProfileMesh(data);
+
             // Set initial visibility based on display mode
             this.updateDisplayMode();
 
-            // Center and fit camera
-            geometry.computeBoundingBox();
-            const bbox = geometry.boundingBox;
+            // Center and fit camera, the bounding box comes from the geometry
+            // build and covers the further instances of the parts too
+            const bbox = new THREE.Box3(
+                new THREE.Vector3(...built.boundingBox.min), new THREE.Vector3(...built.boundingBox.max));
+            geometry.boundingBox = bbox.clone();
+            this.instances.forEach(instance => {
+                if (instance.box && !instance.box.isEmpty()) bbox.union(instance.box);
+            });
             const center = new THREE.Vector3();
             bbox.getCenter(center);
 
             const size = new THREE.Vector3();
             bbox.getSize(size);
             const maxDim = Math.max(size.x, size.y, size.z);
+            this.modelSize = maxDim;
+            this.modelCenter = center.clone();
 
             // Update grid to match model size and position
             if (this.gridHelper) {
@@ -566,6 +931,10 @@ createApp({
             this.controls.target.copy(center);
             this.controls.update();
 
+            // Glyphs are sized by the model, the first step shows its own loads
+            this.loadStep = this.modelData && this.modelData.steps.length > 0 ? 0 : -1;
+            this.createLoadGlyphs();
+
             // Force immediate render
             console.log('Forcing render...');
             this.renderer.render(this.scene, this.camera);
@@ -594,58 +963,2081 @@ createApp({
             }
 
             // Remove all mesh objects
-            if (this.mesh) {
-                this.scene.remove(this.mesh);
-                this.mesh.geometry.dispose();
-                this.mesh.material.dispose();
-                this.mesh = null;
+            this.clearScene();
+        },
+
+        clearScene() {
+            MODEL_OBJECTS.forEach(name => {
+                this.removeSceneObject(name);
+            });
+            this.cancelSurfaceBuild();
+            this.surfaceRebuild = null;
+            this.removeSectionPlanes();
+            this.picked = null;
+            this.selectedSet = null;
+            this.isolateSet = false;
+            this.qualityMetrics = null;
+            this.checkResults = null;
+            this.meshChecks = [];
+            this.qualityMetric = '';
+            this.colorMode = 'uniform';
+            this.colorBy = 'uniform';
+            this.colorLegend = [];
+            this.categoryColors = null;
+            this.loadSummary = null;
+            this.instanceList = [];
+            this.explodeFactor = 0;
+            this.explodeCurrent = 0;
+            this.explodeSets = null;
+            this.clearMeasurements();
+            this.massScope = 'model';
+            this.massProperties = null;
+            this.massIntegrals = null;
+        },
+
+        removeSceneObject(name) {
+            const object = this[name];
+            if (object) {
+                this.scene.remove(object);
+                object.traverse(child => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) child.material.dispose();
+                });
+                this[name] = null;
             }
-            if (this.solidMesh) {
-                this.scene.remove(this.solidMesh);
-                this.solidMesh.geometry.dispose();
-                this.solidMesh.material.dispose();
-                this.solidMesh = null;
+        },
+
+        // Display surface of the mesh faces, triangulated in a Web Worker
+        // (or here, where workers are not available). Resolves to
+        // { surface, boundingBox }, or null when superseded by a newer build.
+        buildSurfaceGeometry(data) {
+            this.cancelSurfaceBuild();
+            const subdivisions = this.curveSubdivisions;
+            const buildHere = () => {
+                const coords = MeshGeometry.flattenNodes(data.nodes);
+                const faces = MeshGeometry.flattenFaces(data.elements, data.element_types);
+                return {
+                    surface: MeshGeometry.triangulateSurface(coords, faces, subdivisions),
+                    boundingBox: MeshGeometry.boundingBox(coords)
+                };
+            };
+
+            let worker;
+            try {
+                worker = this.geometryWorker || new Worker('geometry_worker.js');
+            } catch (err) {
+                console.warn('Building geometry without a worker:', err.message);
+                return Promise.resolve(buildHere());
             }
-            if (this.pointsMesh) {
-                this.scene.remove(this.pointsMesh);
-                this.pointsMesh.geometry.dispose();
-                this.pointsMesh.material.dispose();
-                this.pointsMesh = null;
+            this.geometryWorker = worker;
+
+            this.buildProgress = 0;
+            return new Promise(resolve => {
+                const finish = result => {
+                    this.pendingBuild = null;
+                    this.buildProgress = null;
+                    resolve(result);
+                };
+                this.pendingBuild = resolve;
+                worker.onmessage = ({ data: message }) => {
+                    if (message.type === 'progress') {
+                        this.buildProgress = message.progress;
+                    } else if (message.type === 'done') {
+                        finish({ surface: message.surface, boundingBox: message.boundingBox });
+                    } else {
+                        console.error('Geometry worker failed:', message.message);
+                        finish(buildHere());
+                    }
+                };
+                worker.onerror = event => {
+                    // E.g. the worker script can't be loaded from file:// pages
+                    event.preventDefault();
+                    console.warn('Building geometry without a worker:', event.message);
+                    worker.terminate();
+                    this.geometryWorker = null;
+                    finish(buildHere());
+                };
+
+                const coords = MeshGeometry.flattenNodes(data.nodes);
+                const faces = MeshGeometry.flattenFaces(data.elements, data.element_types);
+                worker.postMessage({ coords, faces, subdivisions },
+                    [coords.buffer, faces.nodes.buffer, faces.offsets.buffer, faces.types.buffer]);
+            });
+        },
+
+        // Drop the running geometry build, its result would be stale
+        cancelSurfaceBuild() {
+            if (!this.pendingBuild) return;
+            this.geometryWorker.terminate();
+            this.geometryWorker = null;
+            this.pendingBuild(null);
+            this.pendingBuild = null;
+            this.buildProgress = null;
+        },
+
+        // Part instances of the mesh (see Assembly.placeParts), the nodes are
+        // moved to the first instance of their part once per mesh. Meshes
+        // without parts are a single instance of a single part.
+        setupInstances(data) {
+            if (!data.placedInstances) {
+                data.placedInstances = Assembly.placeParts(data, this.nodeIndexById);
             }
+            const placed = data.placedInstances;
+            const parts = [...new Set(placed.map(instance => instance.part))];
+            const numCells = data.cells.ids.length;
+
+            // Cells of each part, and the part of each cell
+            this.cellPart = new Int32Array(numCells);
+            this.partCells = parts.map((part, index) => {
+                let cells;
+                if (part === null) {
+                    cells = Int32Array.from({ length: numCells }, (_, cell) => cell);
+                } else {
+                    cells = Int32Array.from(data.part_elements[part].filter(id => this.cellIndexById.has(id)),
+                        id => this.cellIndexById.get(id));
+                }
+                cells.forEach(cell => { this.cellPart[cell] = index; });
+                return {
+                    cells,
+                    types: Array.from(cells, cell => data.cells.types[cell]),
+                    connectivity: Array.from(cells, cell => data.cells.connectivity[cell])
+                };
+            });
+            // Part of each node, -1 for nodes of no part
+            this.nodePart = new Int32Array(data.nodes.length).fill(parts[0] === null ? 0 : -1);
+            parts.forEach((part, index) => {
+                if (part === null) return;
+                (data.part_nodes[part] || []).forEach(id => {
+                    const idx = this.nodeIndexById.get(id);
+                    if (idx !== undefined) this.nodePart[idx] = index;
+                });
+            });
+            this.partColors = parts.map((part, index) => part === null
+                ? 0x9558B2  // Julia purple
+                : new THREE.Color(...MeshColors.categoryColor(index)).getHex());
+            this.instances = placed.map(instance => ({
+                ...instance,
+                partIndex: parts.indexOf(instance.part),
+                placement: new THREE.Matrix4().fromArray(instance.relative)
+            }));
+
+            // Node and element counts, the size and the center of each instance
+            this.instanceList = parts[0] === null ? [] : this.instances.map(instance => {
+                const nodeIds = data.part_nodes[instance.part] || [];
+                const box = new THREE.Box3();
+                nodeIds.forEach(id => {
+                    const node = data.nodes[this.nodeIndexById.get(id)];
+                    if (node) {
+                        box.expandByPoint(new THREE.Vector3(node[0], node[1], node[2] || 0).applyMatrix4(instance.placement));
+                    }
+                });
+                const size = box.isEmpty() ? [0, 0, 0] : box.getSize(new THREE.Vector3()).toArray();
+                instance.box = box;
+                instance.center = box.isEmpty() ? null : box.getCenter(new THREE.Vector3());
+                return {
+                    name: instance.name,
+                    part: instance.part,
+                    color: '#' + this.partColors[instance.partIndex].toString(16).padStart(6, '0'),
+                    visible: true,
+                    nodes: nodeIds.length,
+                    elements: this.partCells[instance.partIndex].cells.length,
+                    size
+                };
+            });
         },
 
-        reportIssue() {
-            const title = encodeURIComponent(`Parsing error: ${this.fileName || 'Unknown file'}`);
-            const body = encodeURIComponent(
-                `## Problem\n\nFailed to parse ABAQUS input file.\n\n` +
-                `**File:** ${this.fileName}\n\n` +
-                `**Error:** ${this.error}\n\n` +
-                `## Steps to Reproduce\n\n` +
-                `1. Upload the attached .inp file to the online visualizer\n` +
-                `2. Parsing fails with the error above\n\n` +
-                `## Additional Context\n\n` +
-                `Please attach your .inp file to help us fix this issue.\n`
-            );
-            window.open(
-                `https://github.com/ahojukka5/AbaqusReader.jl/issues/new?title=${title}&body=${body}`,
-                '_blank'
-            );
+        // Objects of no instance, e.g. nodes outside of the parts, are always shown
+        instanceVisible(index) {
+            return index === undefined || this.instanceList.length === 0 || this.instanceList[index].visible;
         },
 
-        showWhyDialog() {
-            this.showWhy = true;
+        setInstanceVisibility(visible) {
+            this.instanceList.forEach((instance, index) => {
+                instance.visible = visible(index);
+            });
+            this.updateDisplayMode();
+            this.scheduleCapUpdate();
         },
 
-        updateDisplayMode() {
-            if (this.solidMesh) {
-                this.solidMesh.visible = this.showSolid;
+        toggleInstance(index) {
+            this.setInstanceVisibility(other => other === index
+                ? !this.instanceList[other].visible : this.instanceList[other].visible);
+        },
+
+        isolateInstance(index) {
+            this.setInstanceVisibility(other => other === index);
+        },
+
+        showAllInstances() {
+            this.setInstanceVisibility(() => true);
+        },
+
+        isExploded() {
+            return this.explodeCurrent > 0;
+        },
+
+        setExplodeBy(mode) {
+            this.explodeBy = mode;
+            this.applyExplosion();
+            this.updateDisplayMode();
+        },
+
+        resetExplosion() {
+            this.explodeFactor = 0;
+            this.animateExplosion();
+        },
+
+        // Ease the shown explosion towards the slider, one step per frame
+        animateExplosion() {
+            if (this.explodeAnimating) return;
+            this.explodeAnimating = true;
+            const step = () => {
+                const target = this.explodeFactor;
+                const current = this.explodeCurrent || 0;
+                const wasExploded = current > 0;
+                this.explodeCurrent = Math.abs(target - current) < 0.002 ? target : current + (target - current) * 0.2;
+                this.applyExplosion();
+                if (this.isExploded() !== wasExploded) {
+                    this.updateDisplayMode();
+                }
+                if (this.explodeCurrent === target) {
+                    this.explodeAnimating = false;
+                } else {
+                    requestAnimationFrame(step);
+                }
+            };
+            requestAnimationFrame(step);
+        },
+
+        // Element set of every cell (see MeshColors.categorize) and the
+        // center of the bounding box of each set, in part coordinates
+        explodeSetGroups() {
+            if (!this.explodeSets) {
+                const data = toRaw(this.meshData);
+                const { categories, legend } = MeshColors.categorize(data, 'elset', this.cellIndexById);
+                const boxes = legend.map(() => new THREE.Box3());
+                const point = new THREE.Vector3();
+                categories.forEach((category, cell) => {
+                    if (category === -1) return;
+                    data.cells.connectivity[cell].forEach(idx => {
+                        const node = data.nodes[idx];
+                        boxes[category].expandByPoint(point.set(node[0], node[1], node[2] || 0));
+                    });
+                });
+                this.explodeSets = {
+                    categories,
+                    centers: boxes.map(box => box.isEmpty() ? null : box.getCenter(new THREE.Vector3()))
+                };
             }
-            if (this.mesh) {
-                this.mesh.visible = this.showWireframe;
+            return this.explodeSets;
+        },
+
+        // Offset of a group center moved radially away from the model center
+        explodeOffset(groupCenter) {
+            if (!groupCenter || !this.modelCenter) return new THREE.Vector3();
+            return groupCenter.clone().sub(this.modelCenter).multiplyScalar(EXPLODE_SCALE * (this.explodeCurrent || 0));
+        },
+
+        // Move the instances (by their position) or the element sets (by the
+        // triangles of their part) apart by the shown explosion; at zero
+        // everything is back at its assembled position
+        applyExplosion() {
+            if (!this.solidMesh) return;
+            const byPart = this.explodeBy === 'part';
+            const groups = [this.solidMesh, this.mesh, this.shrinkMesh, this.pointsMesh, this.lineMesh, this.profileMesh];
+            groups.filter(Boolean).forEach(group => {
+                group.children.forEach(child => {
+                    child.position.copy(child.userData.position);
+                    if (byPart && child.userData.instance !== undefined) {
+                        child.position.add(this.explodeOffset(this.instances[child.userData.instance].center));
+                    }
+                });
+            });
+
+            // Triangles and line segments move with the set of their cell.
+            // Instances of a part share its geometry.
+            const offsets = byPart ? null : this.explodeSetGroups().centers.map(center => this.explodeOffset(center));
+            const done = new Set();
+            const children = group => group ? group.children : [];
+            const primitives = this.solidMesh.children
+                .concat(children(this.shrinkMesh).filter(child => child.isMesh), children(this.profileMesh))
+                .map(child => ({ child, cells: child.userData.triangleCells, vertices: 3 }))
+                .concat(children(this.lineMesh).map(child => ({ child, cells: child.userData.segmentCells, vertices: 2 })));
+            primitives.forEach(({ child, cells, vertices }) => {
+                const geometry = child.geometry;
+                if (done.has(geometry)) return;
+                done.add(geometry);
+
+                const position = geometry.getAttribute('position');
+                if (!geometry.userData.positions) {
+                    if (!offsets || !this.isExploded()) return;
+                    geometry.userData.positions = position.array.slice();
+                }
+                const assembled = geometry.userData.positions;
+                position.array.set(assembled);
+                if (offsets && this.isExploded()) {
+                    const categories = this.explodeSetGroups().categories;
+                    cells.forEach((cell, p) => {
+                        const category = cell === undefined ? -1 : categories[cell];
+                        if (category === -1) return;
+                        const offset = offsets[category];
+                        for (let k = 3 * vertices * p; k < 3 * vertices * (p + 1); k += 3) {
+                            position.array[k] += offset.x;
+                            position.array[k + 1] += offset.y;
+                            position.array[k + 2] += offset.z;
+                        }
+                    });
+                } else {
+                    delete geometry.userData.positions;
+                }
+                position.needsUpdate = true;
+                geometry.computeBoundingSphere();
+                geometry.boundingBox = null;
+            });
+        },
+
+        // Transform of the nodes of a cell of a picked solid mesh, with the
+        // offset of its element set when the sets are exploded
+        explodedPlacement(object, cell) {
+            if (this.explodeBy !== 'elset' || !this.isExploded() || cell === undefined) {
+                return object.matrix;
             }
-            if (this.pointsMesh) {
-                this.pointsMesh.visible = this.showPoints;
+            const { categories, centers } = this.explodeSetGroups();
+            if (categories[cell] === -1) return object.matrix;
+            const offset = this.explodeOffset(centers[categories[cell]]);
+            return object.matrix.clone().multiply(new THREE.Matrix4().makeTranslation(offset.x, offset.y, offset.z));
+        },
+
+        // Resolves to the result of buildSurfaceGeometry, null if superseded
+        async createSurfaceMeshes(data) {
+            this.hasQuadraticFaces = data.element_types.some(type => type === 'Tri6' || type === 'Quad8');
+            const built = await this.buildSurfaceGeometry(data);
+            if (!built) return null;
+
+            // Remove previous surface, e.g. when the curve subdivision changes
+            this.removeSceneObject('mesh');
+            this.removeSceneObject('solidMesh');
+
+            const surface = built.surface;
+            const position = new THREE.Float32BufferAttribute(surface.positions, 3);
+            this.triangleFaces = surface.triangleFaces;  // Triangle -> face, for picking
+
+            // Triangle -> cell index, for coloring by element
+            const triangleCells = Array.from(surface.triangleFaces, face => this.cellIndexById.get(data.face_elements[face]));
+
+            // Triangles and wireframe edges of each part, the vertices of a
+            // triangle belong to the part of its element
+            const partTriangles = this.partCells.map(() => []);
+            const vertexPart = new Int32Array(surface.positions.length / 3);
+            triangleCells.forEach((cell, t) => {
+                const part = cell === undefined ? 0 : this.cellPart[cell];
+                partTriangles[part].push(t);
+                for (let k = 0; k < 3; k++) {
+                    vertexPart[surface.triangles[3 * t + k]] = part;
+                }
+            });
+            const partEdges = this.partCells.map(() => []);
+            for (let e = 0; e < surface.edges.length; e += 2) {
+                partEdges[vertexPart[surface.edges[e]]].push(surface.edges[e], surface.edges[e + 1]);
             }
+
+            // Wireframe edges in Julia green
+            const edgeMaterial = new THREE.LineBasicMaterial({
+                color: 0x389826,  // Julia green
+                linewidth: 4
+            });
+
+            // Every instance gets a solid mesh and a wireframe sharing the
+            // geometry of its part, placed by the instance transform
+            this.solidMesh = markRaw(new THREE.Group());
+            this.mesh = markRaw(new THREE.Group());
+            partTriangles.forEach((triangles, part) => {
+                if (triangles.length === 0) return;
+
+                // Triangles don't share vertices, so that every element can have its own color
+                const index = new Uint32Array(triangles.length * 3);
+                triangles.forEach((t, i) => index.set(surface.triangles.subarray(3 * t, 3 * t + 3), 3 * i));
+                const indexedGeometry = new THREE.BufferGeometry();
+                indexedGeometry.setAttribute('position', position);
+                indexedGeometry.setIndex(new THREE.Uint32BufferAttribute(index, 1));
+                const faceGeometry = indexedGeometry.toNonIndexed();
+                indexedGeometry.dispose();
+                faceGeometry.computeVertexNormals();
+                const solidMaterial = new THREE.MeshPhongMaterial({
+                    color: this.partColors[part],
+                    side: THREE.DoubleSide,
+                    flatShading: true,
+                    opacity: 1.0,
+                    transparent: false,
+                    depthWrite: true
+                });
+
+                const edgeGeometry = new THREE.BufferGeometry();
+                edgeGeometry.setAttribute('position', position);
+                edgeGeometry.setIndex(new THREE.Uint32BufferAttribute(partEdges[part], 1));
+
+                const partTriangleCells = triangles.map(t => triangleCells[t]);
+                this.instances.forEach((instance, idx) => {
+                    if (instance.partIndex !== part) return;
+                    const solid = new THREE.Mesh(faceGeometry, solidMaterial);
+                    solid.applyMatrix4(instance.placement);
+                    // Part triangle -> triangle of the surface, and their cells
+                    solid.userData = {
+                        instance: idx,
+                        triangles: Uint32Array.from(triangles),
+                        triangleCells: partTriangleCells,
+                        color: this.partColors[part],
+                        position: solid.position.clone()  // Assembled position
+                    };
+                    this.solidMesh.add(solid);
+
+                    const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
+                    edges.applyMatrix4(instance.placement);
+                    edges.userData = { instance: idx, position: edges.position.clone() };
+                    this.mesh.add(edges);
+                });
+            });
+            this.scene.add(this.solidMesh);
+            this.colorSolidMesh();
+            console.log('Added solid mesh to scene');
+
+            this.scene.add(this.mesh);
+            console.log('Added wireframe to scene');
+            return built;
+        },
+
+        async updateCurveSubdivisions() {
+            if (!this.meshData) return;
+            this.surfaceRebuild = this.createSurfaceMeshes(toRaw(this.meshData));
+            if (!await this.surfaceRebuild) return;
+            if (this.shrinkMesh) {
+                this.createShrinkMesh();
+            }
+            this.applyExplosion();
+            this.updateDisplayMode();
+            if (this.picked?.kind === 'element') {
+                this.pickElement(this.picked.id);
+            }
+            if (this.selectedSet) {
+                this.highlightSet();
+            }
+            this.highlightChecks();
+        },
+
+        // The Properties panel computes when it is first opened
+        toggleMassProperties(open) {
+            if (open && !this.massProperties) {
+                this.updateMassProperties();
+            }
+        },
+
+        setMassScope(scope) {
+            this.massScope = scope;
+            this.updateMassProperties();
+        },
+
+        // Mass properties of massScope from the element integrals, which are
+        // computed once per mesh. The model sums up all instances of its
+        // parts, a part or element set is taken where its nodes are drawn.
+        updateMassProperties() {
+            const data = toRaw(this.meshData);
+            const cells = data.cells;
+            if (!this.massIntegrals) {
+                const integrals = MassProperties.cellIntegrals(data.nodes, cells.types, cells.connectivity);
+                this.massIntegrals = {
+                    integrals,
+                    sections: MassProperties.cellSections(data, this.cellIndexById, integrals),
+                    parts: []  // { sums, surfaceArea } per part, when needed
+                };
+            }
+            const { integrals, sections, parts } = this.massIntegrals;
+            const groupProperties = groupCells => ({
+                sums: MassProperties.groupSums(integrals, sections, groupCells),
+                surfaceArea: MassProperties.boundaryArea(data.nodes, cells.types, cells.connectivity, groupCells)
+            });
+            const partProperties = index => {
+                if (!parts[index]) {
+                    parts[index] = groupProperties(Array.from(this.partCells[index].cells));
+                }
+                return parts[index];
+            };
+
+            const [kind, ...rest] = this.massScope.split(':');
+            const name = rest.join(':');
+            let group;
+            if (kind === 'elset') {
+                group = groupProperties((data.element_sets[name] || [])
+                    .map(id => this.cellIndexById.get(id))
+                    .filter(cell => cell !== undefined));
+            } else if (kind === 'part') {
+                const instance = this.instances.find(other => other.part === name);
+                group = partProperties(instance ? instance.partIndex : 0);
+            } else {
+                group = this.instances.map(instance => {
+                    const part = partProperties(instance.partIndex);
+                    return {
+                        sums: MassProperties.transformSums(part.sums, instance.relative),
+                        surfaceArea: part.surfaceArea
+                    };
+                }).reduce((a, b) => ({
+                    sums: MassProperties.addSums(a.sums, b.sums),
+                    surfaceArea: a.surfaceArea + b.surfaceArea
+                }));
+            }
+
+            // Shells count with their mid-surface
+            const result = MassProperties.summarize(group.sums);
+            result.surfaceArea = group.surfaceArea + result.area;
+            this.massProperties = result;
+        },
+
+        // A value with the length unit to a power, e.g. mm³ for volumes
+        formatUnit(value, power = 1) {
+            const text = String(this.formatValue(value));
+            if (!this.units) return text;
+            return `${text} ${this.units}${power === 2 ? '²' : power === 3 ? '³' : ''}`;
+        },
+
+        // Every element, interior ones too, shrunk towards its centroid, with
+        // a mesh and outlines per part instance like the solid mesh
+        createShrinkMesh() {
+            this.removeSceneObject('shrinkMesh');
+            const data = toRaw(this.meshData);
+            this.shrinkMesh = markRaw(new THREE.Group());
+            const edgeMaterial = new THREE.LineBasicMaterial({ color: 0x1a1a1a });
+
+            this.partCells.forEach((part, partIndex) => {
+                const shrunk = MeshGeometry.buildShrunkElements(data.nodes, part.types, part.connectivity,
+                    AbaqusReader.elementFaces, this.shrinkFactor, this.curveSubdivisions);
+                if (shrunk.triangles.length === 0) return;
+
+                const position = new THREE.Float32BufferAttribute(shrunk.positions, 3);
+                const indexedGeometry = new THREE.BufferGeometry();
+                indexedGeometry.setAttribute('position', position);
+                indexedGeometry.setIndex(new THREE.Uint32BufferAttribute(shrunk.triangles, 1));
+                const faceGeometry = indexedGeometry.toNonIndexed();
+                indexedGeometry.dispose();
+                faceGeometry.computeVertexNormals();
+                const material = new THREE.MeshPhongMaterial({
+                    side: THREE.DoubleSide,
+                    flatShading: true,
+                    vertexColors: true
+                });
+
+                const edgeGeometry = new THREE.BufferGeometry();
+                edgeGeometry.setAttribute('position', position);
+                edgeGeometry.setIndex(new THREE.Uint32BufferAttribute(shrunk.edges, 1));
+
+                const triangleCells = Array.from(shrunk.triangleCells, cell => part.cells[cell]);
+                this.instances.forEach((instance, idx) => {
+                    if (instance.partIndex !== partIndex) return;
+                    const solid = new THREE.Mesh(faceGeometry, material);
+                    solid.applyMatrix4(instance.placement);
+                    solid.userData = { instance: idx, triangleCells, position: solid.position.clone() };
+                    this.shrinkMesh.add(solid);
+
+                    const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
+                    edges.applyMatrix4(instance.placement);
+                    edges.userData = { instance: idx, position: edges.position.clone() };
+                    this.shrinkMesh.add(edges);
+                });
+            });
+            this.scene.add(this.shrinkMesh);
+            this.colorShrinkMesh();
+            this.applyExplosion();
+        },
+
+        toggleShrink() {
+            this.showShrink = !this.showShrink;
+            if (this.showShrink && !this.shrinkMesh) {
+                this.createShrinkMesh();
+            }
+            this.updateDisplayMode();
+        },
+
+        updateShrinkFactor() {
+            if (!this.shrinkMesh) return;
+            this.createShrinkMesh();
+            this.updateDisplayMode();
+        },
+
+        selectSet(set) {
+            const same = this.selectedSet
+                && this.selectedSet.kind === set.kind && this.selectedSet.name === set.name;
+            this.selectedSet = same ? null : { kind: set.kind, name: set.name };
+            if (!this.selectedSet) {
+                this.isolateSet = false;
+            }
+            this.highlightSet();
+            this.updateDisplayMode();
+        },
+
+        // Drawn at the placed nodes of its parts, a set is copied to every
+        // further instance of them
+        highlightSet() {
+            this.removeSceneObject('setMesh');
+            if (!this.selectedSet) return;
+
+            const data = toRaw(this.meshData);
+            const color = 0x00C8FF;
+            const group = markRaw(new THREE.Group());
+
+            if (this.selectedSet.kind === 'surface') {
+                // Faces of the surface in a contrasting color, normals pointing
+                // out of the parent elements
+                const surface = data.surfaces[this.selectedSet.name];
+                const color = 0xFF8800;
+                const faces = surface.faces.map((_, idx) => idx);
+                this.groupByPart(faces, idx => this.nodePart[surface.faces[idx][0]]).forEach((indices, part) => {
+                    const partFaces = indices.map(idx => surface.faces[idx]);
+                    const partTypes = indices.map(idx => surface.face_types[idx]);
+                    const objects = [];
+                    const geometry = MeshGeometry.buildSurface(data.nodes, partFaces, partTypes, this.curveSubdivisions);
+                    const faceGeometry = new THREE.BufferGeometry();
+                    faceGeometry.setAttribute('position', new THREE.Float32BufferAttribute(geometry.positions, 3));
+                    faceGeometry.setIndex(new THREE.Uint32BufferAttribute(geometry.triangles, 1));
+                    faceGeometry.computeVertexNormals();
+                    objects.push(new THREE.Mesh(faceGeometry, new THREE.MeshPhongMaterial({
+                        color,
+                        side: THREE.DoubleSide,
+                        flatShading: true,
+                        polygonOffset: true,
+                        polygonOffsetFactor: -1,
+                        polygonOffsetUnits: -1
+                    })));
+                    if (this.showNormals) {
+                        const positions = MeshGeometry.buildFaceNormals(
+                            data.nodes, partFaces, partTypes, (this.modelSize || 1) * 0.05);
+                        const normalGeometry = new THREE.BufferGeometry();
+                        normalGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                        objects.push(new THREE.LineSegments(normalGeometry, new THREE.LineBasicMaterial({ color: 0xFFCC00 })));
+                    }
+                    objects.forEach(object => this.addInstanceCopies(group, part, object));
+                });
+            } else if (this.selectedSet.kind === 'nset') {
+                // Nodes of the set as enlarged markers drawn on top of the mesh
+                const indices = data.node_sets[this.selectedSet.name]
+                    .map(id => this.nodeIndexById.get(id))
+                    .filter(idx => idx !== undefined);
+                this.groupByPart(indices, idx => this.nodePart[idx]).forEach((partIndices, part) => {
+                    const positions = [];
+                    partIndices.forEach(idx => {
+                        const node = data.nodes[idx];
+                        positions.push(node[0], node[1], node[2] || 0);
+                    });
+                    const geometry = new THREE.BufferGeometry();
+                    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                    const material = new THREE.PointsMaterial({
+                        color,
+                        size: 10,
+                        sizeAttenuation: false,
+                        depthTest: false
+                    });
+                    const points = new THREE.Points(geometry, material);
+                    points.renderOrder = 1;
+                    this.addInstanceCopies(group, part, points);
+                });
+            } else {
+                // Outer faces of the elements in the set, so that the set is
+                // seen as a whole also where it lies inside the model
+                const ids = data.element_sets[this.selectedSet.name].filter(id => this.cellIndexById.has(id));
+                const cells = ids.map(id => this.cellIndexById.get(id));
+                this.groupByPart(cells, cell => this.cellPart[cell]).forEach((partCells, part) => {
+                    const partGroup = new THREE.Group();
+                    this.addCellSurface(partGroup, partCells, color);
+                    partGroup.children.slice().forEach(object => this.addInstanceCopies(group, part, object));
+                });
+
+                // Line elements of the set
+                const inSet = new Set(ids);
+                const lines = [];
+                data.line_elements.forEach((id, line) => {
+                    if (inSet.has(id)) lines.push(line);
+                });
+                if (lines.length > 0) {
+                    const positions = [];
+                    data.nodes.forEach(node => positions.push(node[0], node[1], node[2] || 0));
+                    const position = new THREE.Float32BufferAttribute(positions, 3);
+                    this.groupByPart(lines, line => this.nodePart[data.lines[line][0]]).forEach((partLines, part) => {
+                        const lineIndices = [];
+                        partLines.forEach(line => {
+                            const lineNodes = data.lines[line];
+                            for (let i = 0; i < lineNodes.length - 1; i++) {
+                                lineIndices.push(lineNodes[i], lineNodes[i + 1]);
+                            }
+                        });
+                        const lineGeometry = new THREE.BufferGeometry();
+                        lineGeometry.setAttribute('position', position);
+                        lineGeometry.setIndex(lineIndices);
+                        this.addInstanceCopies(group, part,
+                            new THREE.LineSegments(lineGeometry, new THREE.LineBasicMaterial({ color })));
+                    });
+                }
+            }
+
+            this.setMesh = group;
+            group.visible = !this.isExploded();
+            this.scene.add(group);
+            this.applyClipping();
+        },
+
+        // Items by the index of their part, -1 for those of no part
+        groupByPart(items, partOf) {
+            const groups = new Map();
+            items.forEach(item => {
+                const part = partOf(item);
+                if (!groups.has(part)) groups.set(part, []);
+                groups.get(part).push(item);
+            });
+            return groups;
+        },
+
+        // An object drawn at the placed nodes of a part, copied to each
+        // instance of the part and placed like the solid mesh, with its
+        // assembled position for the exploded view and the given userData.
+        // Objects of no part (-1) are added once, where they are.
+        addInstanceCopies(group, part, object, userData = {}) {
+            const instances = [];
+            this.instances.forEach((instance, idx) => {
+                if (part !== -1 && instance.partIndex === part) instances.push(idx);
+            });
+            if (instances.length === 0) {
+                object.userData = { ...userData, position: object.position.clone() };
+                group.add(object);
+                return;
+            }
+            const copies = instances.map((idx, i) => i === 0 ? object : object.clone());
+            copies.forEach((copy, i) => {
+                copy.applyMatrix4(this.instances[instances[i]].placement);
+                copy.userData = { ...userData, instance: instances[i], position: copy.position.clone() };
+                group.add(copy);
+            });
+        },
+
+        // Outer faces of the given cells with their edges
+        addCellSurface(group, cellIndices, color) {
+            const data = toRaw(this.meshData);
+            const cells = data.cells;
+            const [faces] = AbaqusReader.extractBoundaryFaces(
+                cellIndices.map(cell => cells.ids[cell]),
+                cellIndices.map(cell => cells.types[cell]),
+                cellIndices.map(cell => cells.connectivity[cell]));
+            if (faces.length === 0) return;
+
+            const faceTypes = faces.map(face => AbaqusReader.FACE_TYPES[face.length] || 'Polygon');
+            const surface = MeshGeometry.buildSurface(data.nodes, faces, faceTypes, this.curveSubdivisions);
+            const position = new THREE.Float32BufferAttribute(surface.positions, 3);
+            const faceGeometry = new THREE.BufferGeometry();
+            faceGeometry.setAttribute('position', position);
+            faceGeometry.setIndex(new THREE.Uint32BufferAttribute(surface.triangles, 1));
+            faceGeometry.computeVertexNormals();
+            group.add(new THREE.Mesh(faceGeometry, new THREE.MeshPhongMaterial({
+                color,
+                side: THREE.DoubleSide,
+                flatShading: true,
+                polygonOffset: true,
+                polygonOffsetFactor: -1,
+                polygonOffsetUnits: -1
+            })));
+            const edgeGeometry = new THREE.BufferGeometry();
+            edgeGeometry.setAttribute('position', position);
+            edgeGeometry.setIndex(new THREE.Uint32BufferAttribute(surface.edges, 1));
+            group.add(new THREE.LineSegments(edgeGeometry, new THREE.LineBasicMaterial({ color: 0x1a1a1a })));
+        },
+
+        runMeshCheck() {
+            const data = toRaw(this.meshData);
+            if (!data || !data.cells) return;
+            if (!this.qualityMetrics) {
+                this.qualityMetrics = MeshQuality.computeMetrics(data.nodes, data.cells.types, data.cells.connectivity);
+            }
+            // Nodes closer than a millionth of the model size count as coincident
+            this.checkResults = MeshCheck.checkMesh(data, this.qualityMetrics, (this.modelSize || 1) * 1e-6);
+            this.meshChecks = MESH_CHECKS.map(check => {
+                const items = this.checkResults[check.key];
+                const count = check.key === 'duplicateNodes'
+                    ? items.reduce((sum, group) => sum + group.length, 0)
+                    : items.length;
+                return {
+                    key: check.key,
+                    label: check.label,
+                    count,
+                    color: '#' + check.color.toString(16).padStart(6, '0'),
+                    visible: count > 0
+                };
+            });
+            this.highlightChecks();
+        },
+
+        toggleMeshCheck(check) {
+            if (check.count === 0) return;
+            check.visible = !check.visible;
+            this.highlightChecks();
+        },
+
+        // Markers of the problems found by the mesh check, drawn on top of the
+        // mesh so that they are seen also inside the model
+        highlightChecks() {
+            this.removeSceneObject('checkMesh');
+            if (!this.checkResults) return;
+
+            const data = toRaw(this.meshData);
+            const group = markRaw(new THREE.Group());
+            const nodePositions = indices => {
+                const positions = [];
+                indices.forEach(idx => {
+                    const node = data.nodes[idx];
+                    positions.push(node[0], node[1], node[2] || 0);
+                });
+                return new THREE.Float32BufferAttribute(positions, 3);
+            };
+
+            this.meshChecks.forEach(check => {
+                if (!check.visible || check.count === 0) return;
+                const color = MESH_CHECKS.find(c => c.key === check.key).color;
+                const items = this.checkResults[check.key];
+                if (check.key === 'duplicateNodes' || check.key === 'orphanNodes') {
+                    const geometry = new THREE.BufferGeometry();
+                    geometry.setAttribute('position', nodePositions(items.flat()));
+                    const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+                        color,
+                        size: 10,
+                        sizeAttenuation: false,
+                        depthTest: false
+                    }));
+                    points.renderOrder = 1;
+                    group.add(points);
+                } else if (check.key === 'freeEdges') {
+                    const geometry = new THREE.BufferGeometry();
+                    geometry.setAttribute('position', nodePositions(items.flat()));
+                    const edges = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+                        color,
+                        depthTest: false
+                    }));
+                    edges.renderOrder = 1;
+                    group.add(edges);
+                } else {
+                    this.addCellSurface(group, items, color);
+                }
+            });
+
+            this.checkMesh = group;
+            group.visible = !this.isExploded();
+            this.scene.add(group);
+            this.applyClipping();
+        },
+
+        // Glyphs of the boundary conditions and loads active in loadStep:
+        // cones on the constrained translations and disks on the constrained
+        // rotations colored by DOF, arrows of the concentrated forces scaled
+        // by their magnitude and arrows into the faces under pressure
+        createLoadGlyphs() {
+            this.removeSceneObject('loadMesh');
+            this.loadSummary = null;
+            if (!this.hasLoads || !this.meshData) return;
+
+            const data = toRaw(this.meshData);
+            const conditions = BoundaryConditions.stepConditions(toRaw(this.modelData), this.loadStep);
+            const glyphs = BoundaryConditions.resolve(data, conditions, this.nodeIndexById, this.cellIndexById);
+            this.loadSummary = {
+                constraints: glyphs.constraints.length,
+                forces: glyphs.forces.length,
+                pressures: glyphs.pressures.length,
+                skipped: glyphs.skipped
+            };
+            if (!this.showLoads) return;
+
+            const size = (this.modelSize || 1) * 0.02;
+            const arrowLength = size * 5;
+            const group = markRaw(new THREE.Group());
+            const point = idx => new THREE.Vector3(data.nodes[idx][0], data.nodes[idx][1], data.nodes[idx][2] || 0);
+            const axes = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+            // Instances of a glyph pointing along +Y with its tip at the origin,
+            // placed at `origin` pointing along `direction` and stretched by `length`
+            const up = new THREE.Vector3(0, 1, 0);
+            const addInstances = (geometry, instances) => {
+                if (instances.length === 0) return;
+                const mesh = new THREE.InstancedMesh(geometry, new THREE.MeshPhongMaterial(), instances.length);
+                const matrix = new THREE.Matrix4();
+                const quaternion = new THREE.Quaternion();
+                const scale = new THREE.Vector3();
+                const color = new THREE.Color();
+                instances.forEach(({ origin, direction, length = 1, color: hex }, i) => {
+                    quaternion.setFromUnitVectors(up, direction);
+                    mesh.setMatrixAt(i, matrix.compose(origin, quaternion, scale.set(1, length, 1)));
+                    mesh.setColorAt(i, color.set(hex));
+                });
+                group.add(mesh);
+            };
+            const cone = radius => new THREE.ConeGeometry(radius, size, 12).translate(0, -size / 2, 0);
+            const shaft = new THREE.CylinderGeometry(size * 0.1, size * 0.1, 1, 8).translate(0, -0.5, 0);
+
+            // Constraints: a cone pointing at the node along each constrained
+            // translation, a disk behind it for each constrained rotation
+            const cones = [];
+            const disks = [];
+            glyphs.constraints.forEach(({ node, dofs }) => {
+                const origin = point(node);
+                dofs.forEach(dof => {
+                    const axis = (dof - 1) % 3;
+                    const glyph = { origin, direction: axes[axis], color: DOF_COLORS[axis] };
+                    (dof <= 3 ? cones : disks).push(glyph);
+                });
+            });
+            addInstances(cone(size * 0.4), cones);
+            addInstances(new THREE.CylinderGeometry(size * 0.5, size * 0.5, size * 0.15, 16)
+                .translate(0, -size * 1.4, 0), disks);
+
+            // Arrows of a head at the origin and a shaft behind it, their
+            // lengths from 30% to 100% of arrowLength by magnitude
+            const addArrows = (arrows, color) => {
+                const largest = arrows.reduce((max, arrow) => Math.max(max, arrow.magnitude), 0);
+                const heads = [];
+                const shafts = [];
+                arrows.forEach(({ origin, direction, magnitude }) => {
+                    const length = arrowLength * (0.3 + 0.7 * (largest > 0 ? magnitude / largest : 1));
+                    heads.push({ origin, direction, color });
+                    shafts.push({
+                        origin: origin.clone().addScaledVector(direction, -size),
+                        direction,
+                        length: length - size,
+                        color
+                    });
+                });
+                addInstances(cone(size * 0.35), heads);
+                addInstances(shaft, shafts);
+            };
+
+            addArrows(glyphs.forces.filter(({ vector }) => vector.some(v => v !== 0)).map(({ node, vector }) => {
+                const direction = new THREE.Vector3(...vector);
+                const magnitude = direction.length();
+                return { origin: point(node), direction: direction.normalize(), magnitude };
+            }), FORCE_COLOR);
+
+            // Pressures: the faces filled and an arrow into each face, positive
+            // pressure acts against the outward normal
+            const fill = [];
+            addArrows(glyphs.pressures.filter(({ magnitude }) => magnitude !== 0).map(({ face, magnitude }) => {
+                const corners = (face.length === 6 || face.length === 8 ? face.slice(0, face.length / 2) : face).map(point);
+                for (let i = 1; i < corners.length - 1; i++) {
+                    fill.push(...corners[0].toArray(), ...corners[i].toArray(), ...corners[i + 1].toArray());
+                }
+                const center = corners.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(corners.length);
+                const normal = new THREE.Vector3();
+                corners.forEach((a, i) => {
+                    const b = corners[(i + 1) % corners.length];
+                    normal.x += (a.y - b.y) * (a.z + b.z);
+                    normal.y += (a.z - b.z) * (a.x + b.x);
+                    normal.z += (a.x - b.x) * (a.y + b.y);
+                });
+                normal.normalize().multiplyScalar(-Math.sign(magnitude));
+                return { origin: center, direction: normal, magnitude: Math.abs(magnitude) };
+            }), PRESSURE_COLOR);
+            if (fill.length > 0) {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(fill, 3));
+                group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                    color: PRESSURE_COLOR,
+                    transparent: true,
+                    opacity: 0.35,
+                    side: THREE.DoubleSide,
+                    depthWrite: false,
+                    polygonOffset: true,
+                    polygonOffsetFactor: -1,
+                    polygonOffsetUnits: -1
+                })));
+            }
+
+            this.loadMesh = group;
+            group.visible = !this.isExploded();
+            this.scene.add(group);
+            this.applyClipping();
+        },
+
+        addSectionPlane(axis) {
+            if (!this.meshData) return;
+            const size = (this.modelSize || 1) * 1.2;
+            const object = new THREE.Object3D();
+            object.position.copy(this.modelCenter || new THREE.Vector3());
+            object.quaternion.setFromUnitVectors(
+                new THREE.Vector3(0, 0, 1), new THREE.Vector3(...SECTION_PLANE_NORMALS[axis]).normalize());
+            // Translucent square showing where the plane is
+            object.add(new THREE.Mesh(
+                new THREE.PlaneGeometry(size, size),
+                new THREE.MeshBasicMaterial({
+                    color: 0x4063D8,
+                    transparent: true,
+                    opacity: 0.15,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                })
+            ));
+            const cap = new THREE.Group();
+            this.scene.add(object);
+            this.scene.add(cap);
+
+            const id = (this.nextPlaneId = (this.nextPlaneId || 0) + 1);
+            this.planeEntries.push(markRaw({ id, axis, object, cap, plane: new THREE.Plane() }));
+            this.sectionPlanes.push({ id, axis });
+            this.selectSectionPlane(id);
+            this.updateSectionPlanes();
+        },
+
+        selectSectionPlane(id) {
+            const entry = this.planeEntries.find(e => e.id === id);
+            if (!entry) return;
+            this.activePlaneId = id;
+            // Axis-aligned planes only slide along their normal (local z),
+            // free planes can also be tilted about their in-plane axes
+            const rotate = entry.axis === 'Free' && this.gizmoMode === 'rotate';
+            this.transformControls.setMode(rotate ? 'rotate' : 'translate');
+            this.transformControls.showX = rotate;
+            this.transformControls.showY = rotate;
+            this.transformControls.showZ = !rotate;
+            this.transformControls.attach(entry.object);
+        },
+
+        setGizmoMode(mode) {
+            this.gizmoMode = mode;
+            if (this.activePlaneId !== null) {
+                this.selectSectionPlane(this.activePlaneId);
+            }
+        },
+
+        flipSectionPlane(id) {
+            const entry = this.planeEntries.find(e => e.id === id);
+            if (!entry) return;
+            entry.object.rotateX(Math.PI);
+            this.updateSectionPlanes();
+        },
+
+        removeSectionPlane(id) {
+            const entry = this.planeEntries.find(e => e.id === id);
+            if (!entry) return;
+            if (this.activePlaneId === id) {
+                this.transformControls.detach();
+                this.activePlaneId = null;
+            }
+            [entry.object, entry.cap].forEach(object => {
+                this.scene.remove(object);
+                object.traverse(child => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) child.material.dispose();
+                });
+            });
+            this.planeEntries = this.planeEntries.filter(e => e.id !== id);
+            this.sectionPlanes = this.sectionPlanes.filter(p => p.id !== id);
+            this.updateSectionPlanes();
+        },
+
+        removeSectionPlanes() {
+            (this.planeEntries || []).slice().forEach(entry => this.removeSectionPlane(entry.id));
+        },
+
+        updateSectionPlanes() {
+            // The plane normal is the local z axis of the gizmo object; the
+            // side the normal points to is kept
+            this.planeEntries.forEach(entry => {
+                const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(entry.object.quaternion);
+                entry.plane.setFromNormalAndCoplanarPoint(normal, entry.object.position);
+            });
+            this.applyClipping();
+            this.scheduleCapUpdate();
+        },
+
+        applyClipping() {
+            const planes = (this.planeEntries || []).map(entry => entry.plane);
+            MODEL_OBJECTS.forEach(name => {
+                if (this[name]) {
+                    this[name].traverse(child => {
+                        if (child.material) child.material.clippingPlanes = planes;
+                    });
+                }
+            });
+        },
+
+        scheduleCapUpdate() {
+            // Slicing all elements is too slow for every pointer move event
+            if (this.capUpdatePending) return;
+            this.capUpdatePending = true;
+            requestAnimationFrame(() => {
+                this.capUpdatePending = false;
+                this.updateCaps();
+            });
+        },
+
+        updateCaps() {
+            if (!this.meshData) return;
+            const data = toRaw(this.meshData);
+            this.planeEntries.forEach(entry => {
+                entry.cap.children.slice().forEach(child => {
+                    entry.cap.remove(child);
+                    child.geometry.dispose();
+                    child.material.dispose();
+                });
+
+                // Fill the cut with the sliced elements of every shown instance,
+                // sliced in the coordinates of its part; the cap of a plane is
+                // still clipped by the other planes
+                const otherPlanes = this.planeEntries.filter(e => e !== entry).map(e => e.plane);
+                this.instances.forEach((instance, idx) => {
+                    if (!this.instanceVisible(idx)) return;
+                    const part = this.partCells[instance.partIndex];
+                    const plane = entry.plane.clone().applyMatrix4(instance.placement.clone().invert());
+                    const section = MeshGeometry.buildSection(
+                        data.nodes, part.types, part.connectivity, plane.normal.toArray(), plane.constant);
+                    if (section.positions.length === 0) return;
+
+                    const capGeometry = new THREE.BufferGeometry();
+                    capGeometry.setAttribute('position', new THREE.Float32BufferAttribute(section.positions, 3));
+                    capGeometry.computeVertexNormals();
+                    const capMesh = new THREE.Mesh(capGeometry, new THREE.MeshPhongMaterial({
+                        side: THREE.DoubleSide,
+                        flatShading: true,
+                        clippingPlanes: otherPlanes,
+                        polygonOffset: true,
+                        polygonOffsetFactor: 1,
+                        polygonOffsetUnits: 1
+                    }));
+                    capMesh.applyMatrix4(instance.placement);
+                    this.colorByCells(capMesh, Array.from(section.triangleCells, cell => part.cells[cell]),
+                        0xC39BD3);  // Light Julia purple
+                    entry.cap.add(capMesh);
+
+                    const edgeGeometry = new THREE.BufferGeometry();
+                    edgeGeometry.setAttribute('position', new THREE.Float32BufferAttribute(section.edges, 3));
+                    const edges = new THREE.LineSegments(edgeGeometry, new THREE.LineBasicMaterial({
+                        color: 0x1a1a1a,
+                        clippingPlanes: otherPlanes
+                    }));
+                    edges.applyMatrix4(instance.placement);
+                    entry.cap.add(edges);
+                });
+            });
+            this.updateDisplayMode();
+        },
+
+        // Color of a cell in the current color mode, null for the default color
+        cellColor(cell) {
+            if (this.colorMode === 'quality') {
+                const value = this.qualityMetrics[this.qualityMetric][cell];
+                if (!Number.isFinite(value)) {
+                    return [0.5, 0.5, 0.5];
+                }
+                const span = this.qualityMax - this.qualityMin;
+                return MeshQuality.colormap(span > 0 ? (value - this.qualityMin) / span : 0.5);
+            }
+            if (this.colorMode === 'category') {
+                return this.categoryColors[cell];
+            }
+            return null;
+        },
+
+        // Per-triangle vertex colors of a non-indexed mesh from the cells the
+        // triangles belong to, or the plain base color
+        colorByCells(mesh, triangleCells, baseColor) {
+            const geometry = mesh.geometry;
+            const material = mesh.material;
+            if (this.colorMode === 'uniform') {
+                geometry.deleteAttribute('color');
+                material.vertexColors = false;
+                material.color.set(baseColor);
+                material.needsUpdate = true;
+                return;
+            }
+
+            const base = new THREE.Color(baseColor).toArray();
+            const colors = new Float32Array(triangleCells.length * 9);
+            triangleCells.forEach((cell, t) => {
+                const color = (cell !== undefined && this.cellColor(cell)) || base;
+                for (let k = 0; k < 3; k++) {
+                    colors.set(color, t * 9 + k * 3);
+                }
+            });
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+            material.vertexColors = true;
+            material.color.set(0xffffff);
+            material.needsUpdate = true;
+        },
+
+        colorSolidMesh() {
+            if (!this.solidMesh) return;
+            this.solidMesh.children.forEach(child => {
+                this.colorByCells(child, child.userData.triangleCells, child.userData.color);
+            });
+        },
+
+        // Shrunk elements follow the color mode, in uniform mode every
+        // element gets a color of its own
+        colorShrinkMesh() {
+            if (!this.shrinkMesh) return;
+            this.shrinkMesh.children.forEach(child => {
+                if (!child.isMesh) return;
+                const cells = child.userData.triangleCells;
+                const colors = new Float32Array(cells.length * 9);
+                cells.forEach((cell, t) => {
+                    const color = this.cellColor(cell) || MeshColors.categoryColor(cell);
+                    for (let k = 0; k < 3; k++) {
+                        colors.set(color, t * 9 + k * 3);
+                    }
+                });
+                child.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+            });
+        },
+
+        updateElementColors() {
+            this.colorSolidMesh();
+            this.colorShrinkMesh();
+            this.scheduleCapUpdate();
+        },
+
+        // Color the elements by the categories of a MeshColors mode
+        setColorBy(mode) {
+            this.colorBy = mode;
+            this.qualityMetric = '';
+            const data = toRaw(this.meshData);
+            const result = MeshColors.categorize(data, mode, this.cellIndexById);
+            if (!result) {
+                this.colorMode = 'uniform';
+                this.colorLegend = [];
+                this.categoryColors = null;
+                this.updateElementColors();
+                return;
+            }
+
+            const colors = result.legend.map(entry => entry.color);
+            this.categoryColors = Array.from(result.categories,
+                category => category === -1 ? MeshColors.NONE_COLOR : colors[category]);
+            this.colorLegend = result.legend.map(({ name, color, count }) => {
+                const [r, g, b] = color.map(c => Math.round(c * 255));
+                return { name, count, color: `rgb(${r}, ${g}, ${b})` };
+            });
+            this.colorMode = 'category';
+            this.updateElementColors();
+        },
+
+        setQualityMetric(metric) {
+            this.qualityMetric = metric;
+            this.colorBy = 'uniform';
+            this.colorLegend = [];
+            if (!metric) {
+                this.colorMode = 'uniform';
+                this.updateElementColors();
+                return;
+            }
+
+            const data = toRaw(this.meshData);
+            if (!this.qualityMetrics) {
+                this.qualityMetrics = MeshQuality.computeMetrics(data.nodes, data.cells.types, data.cells.connectivity);
+            }
+            [this.qualityDataMin, this.qualityDataMax] = MeshQuality.range(this.qualityMetrics[metric]);
+            this.qualityMin = this.qualityDataMin;
+            this.qualityMax = this.qualityDataMax;
+            this.updateQualityWorst();
+            this.colorMode = 'quality';
+            this.updateQualityRange();
+        },
+
+        updateQualityRange() {
+            const counts = MeshQuality.histogram(
+                this.qualityMetrics[this.qualityMetric], this.qualityDataMin, this.qualityDataMax);
+            const highest = Math.max(1, ...counts);
+            const width = (this.qualityDataMax - this.qualityDataMin) / counts.length;
+            const span = this.qualityMax - this.qualityMin;
+            this.qualityHistogram = counts.map((count, bin) => {
+                const from = this.qualityDataMin + bin * width;
+                const t = span > 0 ? (from + width / 2 - this.qualityMin) / span : 0.5;
+                const [r, g, b] = MeshQuality.colormap(t).map(c => Math.round(c * 255));
+                return {
+                    count,
+                    from,
+                    to: from + width,
+                    height: 100 * count / highest,
+                    color: `rgb(${r}, ${g}, ${b})`
+                };
+            });
+            this.updateElementColors();
+        },
+
+        resetQualityRange() {
+            this.qualityMin = this.qualityDataMin;
+            this.qualityMax = this.qualityDataMax;
+            this.updateQualityRange();
+        },
+
+        updateQualityWorst() {
+            const metric = MeshQuality.METRICS.find(m => m.key === this.qualityMetric);
+            const values = this.qualityMetrics[this.qualityMetric];
+            const ids = toRaw(this.meshData).cells.ids;
+            this.qualityWorst = MeshQuality.worstCells(values, metric.worst, this.qualityWorstCount)
+                .map(cell => ({ id: ids[cell], value: values[cell] }));
+        },
+
+        formatValue(value) {
+            return Number.isFinite(value) ? Number(value.toPrecision(4)) : '–';
+        },
+
+        zoomToElement(id) {
+            const data = toRaw(this.meshData);
+            const cell = this.cellIndexById.get(id);
+            if (cell === undefined) return;
+
+            const box = new THREE.Box3();
+            data.cells.connectivity[cell].forEach(idx => {
+                const node = data.nodes[idx];
+                box.expandByPoint(new THREE.Vector3(node[0], node[1], node[2] || 0));
+            });
+            const center = box.getCenter(new THREE.Vector3());
+            const size = Math.max(box.getSize(new THREE.Vector3()).length(), (this.modelSize || 1) * 0.02);
+            const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+            this.camera.position.copy(center).addScaledVector(direction, size * 3);
+            this.controls.target.copy(center);
+            this.controls.update();
+            this.pickElement(id);
+        },
+
+        pickAt(clientX, clientY) {
+            const data = this.meshData;
+            if (!data) return;
+
+            const rect = this.renderer.domElement.getBoundingClientRect();
+            const pointer = new THREE.Vector2(
+                ((clientX - rect.left) / rect.width) * 2 - 1,
+                -((clientY - rect.top) / rect.height) * 2 + 1
+            );
+            this.raycaster.setFromCamera(pointer, this.camera);
+            this.raycaster.params.Line.threshold = (this.modelSize || 1) * 0.005;
+
+            const targets = [this.solidMesh, this.shrinkMesh, this.lineMesh].filter(object => object && object.visible);
+            const planes = this.planeEntries.map(entry => entry.plane);
+            // Outlines of the shrunk elements are not picked
+            const hit = this.raycaster.intersectObjects(targets, true)
+                .find(h => h.object.visible && (h.object.isMesh || h.object.parent === this.lineMesh) &&
+                    planes.every(plane => plane.distanceToPoint(h.point) >= 0));
+            if (!hit) {
+                this.clearPick();
+                return;
+            }
+
+            // Element under the cursor and its nodes as candidates for a node
+            // pick, in the instance that was hit. Measurements take the node
+            // where the instance is assembled, not where it is exploded to.
+            let elementId, candidates;
+            let placement = null;
+            const instance = hit.object.userData.instance;
+            const assembled = instance === undefined ? null : this.instances[instance].placement;
+            if (hit.object.parent === this.solidMesh) {
+                const face = this.triangleFaces[hit.object.userData.triangles[hit.faceIndex]];
+                elementId = data.face_elements[face];
+                candidates = data.elements[face];
+                placement = this.explodedPlacement(hit.object, this.cellIndexById.get(elementId));
+            } else if (hit.object.parent === this.shrinkMesh) {
+                // The nodes are not at their shrunk positions, only the element is picked
+                const cell = hit.object.userData.triangleCells[hit.faceIndex];
+                elementId = data.cells.ids[cell];
+                candidates = [];
+                placement = this.explodedPlacement(hit.object, cell);
+            } else {
+                const line = hit.object.userData.segmentLines[hit.index / 2];
+                elementId = data.line_elements[line];
+                candidates = data.lines[line];
+                placement = this.explodedPlacement(hit.object, this.cellIndexById.get(elementId));
+            }
+
+            // Clicking within a few pixels of a node picks the node instead
+            let nearest = null;
+            let nearestDistance = 10;
+            candidates.forEach(idx => {
+                const node = data.nodes[idx];
+                const p = new THREE.Vector3(node[0], node[1], node[2] || 0);
+                if (placement) p.applyMatrix4(placement);
+                p.project(this.camera);
+                const distance = Math.hypot(
+                    (p.x + 1) / 2 * rect.width - (clientX - rect.left),
+                    (1 - p.y) / 2 * rect.height - (clientY - rect.top)
+                );
+                if (distance < nearestDistance) {
+                    nearest = idx;
+                    nearestDistance = distance;
+                }
+            });
+
+            if (nearest !== null) {
+                this.pickNode(nearest, placement, assembled);
+            } else {
+                this.pickElement(elementId, placement);
+            }
+        },
+
+        // Placement is the transform of the picked instance of a part, if any,
+        // assembled the one without the offset of the exploded view
+        pickNode(index, placement = null, assembled = placement) {
+            const data = this.meshData;
+            const id = data.node_ids[index];
+            const coords = new THREE.Vector3(data.nodes[index][0], data.nodes[index][1], data.nodes[index][2] || 0);
+            if (placement) coords.applyMatrix4(placement);
+            this.picked = {
+                kind: 'node',
+                id,
+                coordinates: coords.toArray(),
+                nodeSets: Object.keys(data.node_sets).filter(name => data.node_sets[name].includes(id))
+            };
+
+            this.removeSceneObject('highlightMesh');
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(this.picked.coordinates, 3));
+            const material = new THREE.PointsMaterial({
+                color: 0xFFCC00,
+                size: 12,
+                sizeAttenuation: false,
+                depthTest: false
+            });
+            this.highlightMesh = markRaw(new THREE.Points(geometry, material));
+            this.highlightMesh.renderOrder = 1;
+            this.scene.add(this.highlightMesh);
+            this.applyClipping();
+
+            if (this.measureMode) {
+                const point = new THREE.Vector3(data.nodes[index][0], data.nodes[index][1], data.nodes[index][2] || 0);
+                if (assembled) point.applyMatrix4(assembled);
+                this.addMeasurePoint(id, point.toArray());
+            }
+        },
+
+        pickElement(id, placement = null) {
+            const data = this.meshData;
+            const cells = data.cells;
+            const cell = this.cellIndexById.get(id);
+            if (cell === undefined) return;
+
+            const surfaces = [];
+            Object.entries(data.surface_sets || {}).forEach(([name, faces]) => {
+                faces.forEach(([elementId, face]) => {
+                    if (elementId === id) {
+                        surfaces.push(`${name} (${face})`);
+                    }
+                });
+            });
+            this.picked = {
+                kind: 'element',
+                id,
+                code: cells.codes[cell],
+                type: cells.types[cell],
+                nodes: Array.from(cells.connectivity[cell], idx => data.node_ids[idx]),
+                elementSets: Object.keys(data.element_sets).filter(name => data.element_sets[name].includes(id)),
+                surfaces
+            };
+
+            // Highlight the faces (or the polyline) of the element
+            this.removeSceneObject('highlightMesh');
+            const faces = [];
+            const faceTypes = [];
+            data.face_elements.forEach((elementId, face) => {
+                if (elementId === id) {
+                    faces.push(data.elements[face]);
+                    faceTypes.push(data.element_types[face]);
+                }
+            });
+            if (faces.length > 0) {
+                const surface = MeshGeometry.buildSurface(data.nodes, faces, faceTypes, this.curveSubdivisions);
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(surface.positions, 3));
+                geometry.setIndex(new THREE.Uint32BufferAttribute(surface.triangles, 1));
+                const material = new THREE.MeshBasicMaterial({
+                    color: 0xFFCC00,
+                    side: THREE.DoubleSide,
+                    polygonOffset: true,
+                    polygonOffsetFactor: -1,
+                    polygonOffsetUnits: -1
+                });
+                this.highlightMesh = markRaw(new THREE.Mesh(geometry, material));
+            } else {
+                const line = data.line_elements.indexOf(id);
+                if (line < 0) return;
+                const positions = [];
+                data.lines[line].forEach(idx => {
+                    const node = data.nodes[idx];
+                    positions.push(node[0], node[1], node[2] || 0);
+                });
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                const material = new THREE.LineBasicMaterial({ color: 0xFFCC00, depthTest: false });
+                this.highlightMesh = markRaw(new THREE.Line(geometry, material));
+            }
+            if (placement) {
+                this.highlightMesh.applyMatrix4(placement);
+            }
+            this.highlightMesh.renderOrder = 1;
+            this.scene.add(this.highlightMesh);
+            this.applyClipping();
+        },
+
+        clearPick() {
+            this.picked = null;
+            this.removeSceneObject('highlightMesh');
+        },
+
+        setUnits(units) {
+            this.units = units;
+            window.localStorage.setItem(UNITS_KEY, units);
+            this.drawMeasurements();
+        },
+
+        formatLength(value) {
+            const text = String(this.formatCoordinate(value));
+            return this.units ? `${text} ${this.units}` : text;
+        },
+
+        // Pick nodes for a measurement, choosing the active mode again ends it
+        setMeasureMode(mode) {
+            this.measureMode = this.measureMode === mode ? '' : mode;
+            this.measurePoints = [];
+            this.measureError = null;
+            this.drawMeasurements();
+        },
+
+        // Node picked in a measurement mode, the measurement is added once
+        // all its nodes are picked
+        addMeasurePoint(id, coordinates) {
+            this.measurePoints.push({ id, coordinates });
+            if (this.measurePoints.length === MEASURE_NODES[this.measureMode]) {
+                const points = this.measurePoints.map(point => point.coordinates);
+                const nodes = this.measurePoints.map(point => point.id);
+                this.measurePoints = [];
+                this.measureError = null;
+                if (this.measureMode === 'distance') {
+                    this.addMeasurement({ kind: 'distance', nodes, points, value: Measure.distance(points[0], points[1]) });
+                } else if (this.measureMode === 'angle') {
+                    const value = Measure.angle(...points);
+                    if (value === null) {
+                        this.measureError = 'The first and the last node must differ from the middle one.';
+                    } else {
+                        this.addMeasurement({ kind: 'angle', nodes, points, value });
+                    }
+                } else {
+                    const circle = Measure.circleThrough(...points);
+                    if (!circle) {
+                        this.measureError = 'The three nodes are on a line.';
+                    } else {
+                        this.addMeasurement({ kind: 'radius', nodes, points, value: circle.radius, circle });
+                    }
+                }
+            }
+            this.drawMeasurements();
+        },
+
+        // Bounding box of the selected set, or of the shown model
+        measureBoundingBox() {
+            const box = Measure.boundingBox(this.selectedSet ? this.selectedSetPoints() : this.visibleModelPoints());
+            if (!box) {
+                this.measureError = 'There are no nodes to measure.';
+                return;
+            }
+            this.measureError = null;
+            this.addMeasurement({
+                kind: 'bbox',
+                scope: this.selectedSet ? this.selectedSet.name : 'Model',
+                points: [box.min, box.max],
+                value: box.size
+            });
+            this.drawMeasurements();
+        },
+
+        addMeasurement(measurement) {
+            this.nextMeasurementId = (this.nextMeasurementId || 0) + 1;
+            this.measurements.push({ id: this.nextMeasurementId, ...measurement });
+        },
+
+        removeMeasurement(id) {
+            this.measurements = this.measurements.filter(measurement => measurement.id !== id);
+            this.drawMeasurements();
+        },
+
+        clearMeasurements() {
+            this.measurements = [];
+            this.measurePoints = [];
+            this.measureMode = '';
+            this.measureError = null;
+            this.drawMeasurements();
+        },
+
+        // Node coordinates of the selected set: the nodes of its elements or
+        // faces, or the nodes of a node set
+        selectedSetPoints() {
+            const data = toRaw(this.meshData);
+            const { kind, name } = this.selectedSet;
+            const indices = new Set();
+            if (kind === 'elset') {
+                data.element_sets[name].forEach(id => {
+                    const cell = this.cellIndexById.get(id);
+                    if (cell !== undefined) {
+                        data.cells.connectivity[cell].forEach(idx => indices.add(idx));
+                    }
+                });
+            } else if (kind === 'nset') {
+                data.node_sets[name].forEach(id => {
+                    const idx = this.nodeIndexById.get(id);
+                    if (idx !== undefined) indices.add(idx);
+                });
+            } else {
+                data.surfaces[name].faces.forEach(face => face.forEach(idx => indices.add(idx)));
+            }
+            return Array.from(indices, idx => data.nodes[idx]);
+        },
+
+        // Node coordinates of the shown part instances, all nodes without parts
+        visibleModelPoints() {
+            const data = toRaw(this.meshData);
+            if (this.instanceList.length === 0) return data.nodes;
+            const points = [];
+            const point = new THREE.Vector3();
+            this.instances.forEach((instance, idx) => {
+                if (!this.instanceVisible(idx)) return;
+                (data.part_nodes[instance.part] || []).forEach(id => {
+                    const node = data.nodes[this.nodeIndexById.get(id)];
+                    if (node) {
+                        points.push(point.set(node[0], node[1], node[2] || 0).applyMatrix4(instance.placement).toArray());
+                    }
+                });
+            });
+            return points;
+        },
+
+        // Value of a measurement for the sidebar and its annotation
+        measurementText(measurement) {
+            switch (measurement.kind) {
+                case 'distance':
+                    return this.formatLength(measurement.value);
+                case 'angle':
+                    return `${this.formatValue(measurement.value)}°`;
+                case 'radius':
+                    return `R ${this.formatLength(measurement.value)}`;
+                default:
+                    return measurement.value.map(this.formatCoordinate).join(' × ') + (this.units ? ` ${this.units}` : '');
+            }
+        },
+
+        measurementDetail(measurement) {
+            const point = p => `(${p.map(this.formatCoordinate).join(', ')})`;
+            switch (measurement.kind) {
+                case 'distance': {
+                    const [a, b] = measurement.points;
+                    return `Nodes ${measurement.nodes.join(' – ')}, Δ ${point([0, 1, 2].map(k => b[k] - a[k]))}`;
+                }
+                case 'angle':
+                    return `At node ${measurement.nodes[1]} between nodes ${measurement.nodes[0]} and ${measurement.nodes[2]}`;
+                case 'radius':
+                    return `Center ${point(measurement.circle.center)}, through nodes ${measurement.nodes.join(', ')}`;
+                default:
+                    return `${measurement.scope} from ${point(measurement.points[0])} to ${point(measurement.points[1])}`;
+            }
+        },
+
+        // Text label in the scene that keeps its size on the screen
+        createLabel(text, position) {
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+            const font = '28px sans-serif';
+            context.font = font;
+            canvas.width = Math.ceil(context.measureText(text).width) + 16;
+            canvas.height = 40;
+            context.font = font;
+            context.fillStyle = 'rgba(26, 26, 26, 0.8)';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = '#FFCC00';
+            context.textBaseline = 'middle';
+            context.fillText(text, 8, canvas.height / 2);
+
+            const material = new THREE.SpriteMaterial({
+                map: new THREE.CanvasTexture(canvas),
+                depthTest: false,
+                sizeAttenuation: false
+            });
+            const label = new THREE.Sprite(material);
+            label.center.set(0, 0);
+            label.scale.set(0.04 * canvas.width / canvas.height, 0.04, 1);
+            label.position.set(position[0], position[1], position[2] || 0);
+            label.renderOrder = 2;
+            return label;
+        },
+
+        // Annotations of all measurements and the nodes picked for the next
+        // one, redrawn as a whole since there are few
+        drawMeasurements() {
+            if (this.measureMesh) {
+                this.scene.remove(this.measureMesh);
+                this.measureMesh.traverse(child => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) {
+                        if (child.material.map) child.material.map.dispose();
+                        child.material.dispose();
+                    }
+                });
+                this.measureMesh = null;
+            }
+
+            const group = new THREE.Group();
+            const lineMaterial = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false });
+            const vector = p => new THREE.Vector3(p[0], p[1], p[2] || 0);
+            const addLine = points => {
+                if (points.length < 2) return;
+                const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points.map(vector)), lineMaterial);
+                line.renderOrder = 2;
+                group.add(line);
+            };
+            const addMarkers = points => {
+                if (points.length === 0) return;
+                const markers = new THREE.Points(new THREE.BufferGeometry().setFromPoints(points.map(vector)),
+                    new THREE.PointsMaterial({ color: MEASURE_COLOR, size: 10, sizeAttenuation: false, depthTest: false }));
+                markers.renderOrder = 2;
+                group.add(markers);
+            };
+            const midpoint = (a, b) => [0, 1, 2].map(k => ((a[k] || 0) + (b[k] || 0)) / 2);
+
+            this.measurements.forEach(measurement => {
+                const text = this.measurementText(measurement);
+                const points = measurement.points;
+                if (measurement.kind === 'distance') {
+                    addLine(points);
+                    addMarkers(points);
+                    group.add(this.createLabel(text, midpoint(points[0], points[1])));
+                } else if (measurement.kind === 'angle') {
+                    const [a, vertex, c] = points;
+                    const radius = 0.3 * Math.min(Measure.distance(a, vertex), Measure.distance(c, vertex));
+                    const arc = Measure.arcPoints(a, vertex, c, radius);
+                    addLine(points);
+                    addLine(arc);
+                    addMarkers(points);
+                    group.add(this.createLabel(text, arc.length > 0 ? arc[arc.length >> 1] : vertex));
+                } else if (measurement.kind === 'radius') {
+                    const center = measurement.circle.center;
+                    addLine(Measure.circlePoints(measurement.circle));
+                    addLine([center, points[0]]);
+                    addMarkers(points.concat([center]));
+                    group.add(this.createLabel(text, midpoint(center, points[0])));
+                } else {
+                    const box = new THREE.Box3(vector(points[0]), vector(points[1]));
+                    group.add(new THREE.Box3Helper(box, MEASURE_COLOR));
+                    group.add(this.createLabel(text, points[1]));
+                }
+            });
+            addMarkers(this.measurePoints.map(point => point.coordinates));
+
+            if (group.children.length === 0) {
+                lineMaterial.dispose();
+                return;
+            }
+            group.visible = !this.isExploded();
+            this.measureMesh = markRaw(group);
+            this.scene.add(group);
+        },
+
+        formatCoordinate(value) {
+            return Number(value.toPrecision(6));
+        },
+
+        // Values of a material property in the model tree, Plastic tables are
+        // listed row by row in the template instead
+        materialPropertyText(prop) {
+            const value = this.formatValue;
+            switch (prop.type) {
+                case 'Elastic':
+                    return `E = ${value(prop.E)}, ν = ${value(prop.nu)}`;
+                case 'Density':
+                    return `ρ = ${value(prop.density)}`;
+                case 'Expansion':
+                    return `α = ${value(prop.alpha)}`;
+                case 'Damping':
+                    return `α = ${value(prop.alpha)}, β = ${value(prop.beta)}`;
+                default:
+                    return Object.keys(prop).filter(key => key !== 'type')
+                        .map(key => `${key} = ${JSON.stringify(prop[key])}`).join(', ');
+            }
+        },
+
+        // Values of a section besides its element set and material
+        sectionDetails(section) {
+            const value = this.formatValue;
+            const details = [];
+            if (section.thickness !== undefined) details.push(`thickness ${value(section.thickness)}`);
+            if (section.num_integration_points !== undefined) {
+                details.push(`${section.num_integration_points} integration points`);
+            }
+            if (section.area !== undefined) details.push(`area ${value(section.area)}`);
+            if (section.section) {
+                details.push(`${section.section} ${section.dimensions.map(value).join(' × ')}`);
+            }
+            if (section.mass !== undefined) details.push(`mass ${value(section.mass)}`);
+            if (section.controls) details.push(`controls ${section.controls}`);
+            return details.join(', ');
+        },
+
+        // Options (NLGEOM=YES, PERTURBATION, ...) and procedure parameters of a step
+        stepDetails(step) {
+            const options = Object.entries(step.options || {})
+                .filter(([key]) => key !== 'NAME')
+                .map(([key, option]) => option === true ? key : `${key}=${option}`);
+            const parameters = (step.parameters || []).map(this.formatValue);
+            return [
+                options.join(', '),
+                parameters.length > 0 ? `parameters ${parameters.join(', ')}` : ''
+            ].filter(Boolean).join('; ');
+        },
+
+        // Select the element set of a section, if the mesh has it
+        selectSectionSet(name) {
+            if (this.meshData.element_sets[name]) {
+                this.selectSet({ kind: 'elset', name });
+            }
+        },
+
+        createProfileMesh(data) {
+            this.hasProfiles = false;
+            const lines = data.lines || [];
+            const properties = data.model?.properties || [];
+            if (lines.length === 0 || properties.length === 0) {
+                return;
+            }
+
+            // Map element id -> section via the element set of each section
+            const sectionByElement = new Map();
+            properties.forEach(section => {
+                const outline = MeshGeometry.sectionOutline(section);
+                const elementIds = data.element_sets[section.element_set];
+                if (!outline || !elementIds) {
+                    return;
+                }
+                elementIds.forEach(id => sectionByElement.set(id, { outline, direction: section.direction }));
+            });
+
+            const outlines = [];
+            const directions = [];
+            data.line_elements.forEach(id => {
+                const section = sectionByElement.get(id);
+                outlines.push(section ? section.outline : null);
+                directions.push(section ? section.direction : null);
+            });
+            if (!outlines.some(outline => outline)) {
+                return;
+            }
+
+            // The profiles of each part at every instance of it
+            const profileMaterial = new THREE.MeshPhongMaterial({
+                color: 0x4063D8,  // Julia blue
+                side: THREE.DoubleSide,
+                flatShading: true
+            });
+            this.profileMesh = markRaw(new THREE.Group());
+            const lineIndices = Array.from(lines, (line, idx) => idx);
+            this.groupByPart(lineIndices, idx => this.nodePart[lines[idx][0]]).forEach((partLines, part) => {
+                const { positions, triangleLines } = MeshGeometry.buildBeamProfiles(data.nodes,
+                    partLines.map(idx => lines[idx]), partLines.map(idx => outlines[idx]), partLines.map(idx => directions[idx]));
+                if (positions.length === 0) return;
+                const profileGeometry = new THREE.BufferGeometry();
+                profileGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                profileGeometry.computeVertexNormals();
+                this.addInstanceCopies(this.profileMesh, part, new THREE.Mesh(profileGeometry, profileMaterial), {
+                    triangleCells: triangleLines.map(line => this.cellIndexById.get(data.line_elements[partLines[line]]))
+                });
+            });
+            this.scene.add(this.profileMesh);
+            this.hasProfiles = true;
+            console.log('Added beam profiles to scene');
+        },
+
+        // Triangles of the solid surface as currently displayed: the isolated
+        // set instead of the whole model, clipped by the section planes and
+        // closed with their caps. Returns non-indexed positions.
+        collectExportTriangles() {
+            const isolated = this.isolateSet && this.selectedSet && this.selectedSet.kind !== 'nset';
+            const sources = [];
+            if (isolated) {
+                if (this.setMesh) {
+                    this.setMesh.children.filter(child => child.isMesh).forEach(object => sources.push({ object }));
+                }
+            } else if (this.solidMesh && this.solidMesh.visible) {
+                this.solidMesh.children.filter(child => child.visible).forEach(object => sources.push({ object }));
+            }
+            this.planeEntries.forEach(entry => {
+                if (entry.cap.visible) {
+                    entry.cap.children.filter(child => child.isMesh)
+                        .forEach(object => sources.push({ object, ownPlane: entry.plane }));
+                }
+            });
+
+            const chunks = [];
+            sources.forEach(({ object, ownPlane }) => {
+                const geometry = object.geometry.index ? object.geometry.toNonIndexed() : object.geometry.clone();
+                geometry.applyMatrix4(object.matrixWorld);
+                const planes = this.planeEntries
+                    .filter(entry => entry.plane !== ownPlane)
+                    .map(entry => ({ normal: entry.plane.normal.toArray(), constant: entry.plane.constant }));
+                chunks.push(MeshGeometry.clipTriangles(
+                    geometry.getAttribute('position').array, planes, (this.modelSize || 1) * 1e-6));
+                geometry.dispose();
+            });
+
+            const positions = new Float32Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+            let offset = 0;
+            chunks.forEach(chunk => {
+                positions.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return positions;
+        },
+
+        exportModel() {
+            this.exportMessage = null;
+            if (this.exportFormat === 'vtu' || this.exportFormat === 'vtk') {
+                this.exportVtk();
+                return;
+            }
+            const positions = this.collectExportTriangles();
+            if (positions.length === 0) {
+                this.exportMessage = 'Nothing to export: the solid surface is hidden or clipped away.';
+                return;
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.computeVertexNormals();
+            const material = new THREE.MeshStandardMaterial({ color: 0x9558B2 });  // Julia purple
+            const baseName = (this.fileName || 'model').replace(/\.[^.]+$/, '');
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.name = baseName;
+
+            const save = (content, extension, type) => {
+                this.downloadFile(new Blob([content], { type }), `${baseName}.${extension}`);
+                geometry.dispose();
+                material.dispose();
+            };
+
+            switch (this.exportFormat) {
+                case 'stl-binary':
+                    save(new THREE.STLExporter().parse(mesh, { binary: true }), 'stl', 'application/octet-stream');
+                    break;
+                case 'stl-ascii':
+                    save(new THREE.STLExporter().parse(mesh), 'stl', 'text/plain');
+                    break;
+                case 'obj':
+                    save(new THREE.OBJExporter().parse(mesh), 'obj', 'text/plain');
+                    break;
+                case 'ply':
+                    new THREE.PLYExporter().parse(mesh, result => {
+                        save(result, 'ply', 'application/octet-stream');
+                    }, { binary: true, littleEndian: true });
+                    break;
+                case 'gltf':
+                    new THREE.GLTFExporter().parse(mesh, result => {
+                        save(JSON.stringify(result), 'gltf', 'model/gltf+json');
+                    }, { binary: false });
+                    break;
+                case 'glb':
+                    new THREE.GLTFExporter().parse(mesh, result => {
+                        save(result, 'glb', 'model/gltf-binary');
+                    }, { binary: true });
+                    break;
+            }
+        },
+
+        exportVtk() {
+            // The full mesh with all elements, not only what is displayed
+            const data = toRaw(this.meshData);
+            const baseName = (this.fileName || 'model').replace(/\.[^.]+$/, '');
+            const content = this.exportFormat === 'vtu'
+                ? VtkWriter.writeVtu(data)
+                : VtkWriter.writeLegacyVtk(data, this.fileName || 'model');
+            this.downloadFile(new Blob([content], { type: 'text/plain' }), `${baseName}.${this.exportFormat}`);
+        },
+
+        downloadFile(blob, name) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        },
+
+        reportIssue() {
+            const title = encodeURIComponent(`Parsing error: ${this.fileName || 'Unknown file'}`);
+            const body = encodeURIComponent(
+                `## Problem\n\nFailed to parse ABAQUS input file.\n\n` +
+                `**File:** ${this.fileName}\n\n` +
+                `**Error:** ${this.error}\n\n` +
+                `## Steps to Reproduce\n\n` +
+                `1. Upload the attached .inp file to the online visualizer\n` +
+                `2. Parsing fails with the error above\n\n` +
+                `## Additional Context\n\n` +
+                `Please attach your .inp file to help us fix this issue.\n`
+            );
+            window.open(
+                `https://github.com/ahojukka5/AbaqusReader.jl/issues/new?title=${title}&body=${body}`,
+                '_blank'
+            );
+        },
+
+        showWhyDialog() {
+            this.showWhy = true;
+        },
+
+        updateDisplayMode() {
+            // Overlays drawn at the assembled positions are hidden while exploded
+            const exploded = this.isExploded();
+
+            // A selected element set or surface is seen through the rest of
+            // the model, or alone when isolated
+            const dimmed = !exploded && this.selectedSet !== null && this.selectedSet.kind !== 'nset';
+            const isolated = dimmed && this.isolateSet;
+
+            // The edges of a part are shared by its element sets
+            const splitEdges = exploded && this.explodeBy === 'elset';
+
+            [this.solidMesh, this.shrinkMesh].filter(Boolean).forEach(group => {
+                group.children.forEach(child => {
+                    child.visible = this.instanceVisible(child.userData.instance) && !(child.isLineSegments && splitEdges);
+                    if (!child.isMesh) return;
+                    const material = child.material;
+                    material.transparent = dimmed;
+                    material.opacity = dimmed ? 0.25 : 1.0;
+                    material.depthWrite = !dimmed;
+                    material.needsUpdate = true;
+                });
+            });
+            if (this.solidMesh) {
+                this.solidMesh.visible = this.showSolid && !this.showShrink && !isolated;
+            }
+            if (this.shrinkMesh) {
+                this.shrinkMesh.visible = this.showShrink && !isolated;
+            }
+            if (this.mesh) {
+                this.mesh.visible = this.showWireframe && !this.showShrink && !isolated && !splitEdges;
+                this.mesh.children.forEach(child => {
+                    child.visible = this.instanceVisible(child.userData.instance);
+                });
+            }
+            // A node is shared by the element sets around it
+            const layers = [
+                [this.pointsMesh, this.showPoints && !splitEdges],
+                [this.lineMesh, this.showLines],
+                [this.profileMesh, this.showProfiles]
+            ];
+            layers.filter(([group]) => group).forEach(([group, shown]) => {
+                group.visible = shown && !isolated;
+                group.children.forEach(child => {
+                    child.visible = this.instanceVisible(child.userData.instance);
+                });
+            });
+            ['setMesh', 'checkMesh', 'loadMesh', 'measureMesh'].forEach(name => {
+                if (this[name]) this[name].visible = !exploded;
+            });
+            (this.planeEntries || []).forEach(entry => {
+                entry.cap.visible = this.showSolid && !this.showShrink && !isolated && !exploded;
+            });
+            this.applyClipping();
         }
     }
 }).mount('#app');
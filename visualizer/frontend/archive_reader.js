@@ -0,0 +1,112 @@
+// Decompression of gzipped input files and zip archives in the browser.
+//
+// Uses the DecompressionStream API of the browser, nothing is uploaded.
+// Zip archives are read from their central directory; stored and deflated
+// entries are supported, encrypted and ZIP64 archives are not.
+
+const ArchiveReader = (function () {
+
+    class ArchiveError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ArchiveError';
+        }
+    }
+
+    function isArchive(path) {
+        return /\.(gz|zip)$/i.test(path);
+    }
+
+    async function inflate(data, format) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new ArchiveError('This browser cannot decompress files, please unpack them first');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function gunzip(data) {
+        return inflate(data, 'gzip');
+    }
+
+    // Offset of the end of central directory record, which is followed by
+    // a comment of at most 65535 bytes
+    function findEndOfCentralDirectory(view) {
+        const last = Math.max(0, view.byteLength - 22 - 65535);
+        for (let offset = view.byteLength - 22; offset >= last; offset--) {
+            if (view.getUint32(offset, true) === 0x06054b50) return offset;
+        }
+        throw new ArchiveError('Not a zip archive');
+    }
+
+    // Files of a zip archive as [{ path, data }], directories are skipped
+    async function unzip(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const decoder = new TextDecoder();
+        const end = findEndOfCentralDirectory(view);
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new ArchiveError('ZIP64 archives are not supported');
+        }
+
+        const files = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new ArchiveError('Corrupted zip central directory');
+            }
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const headerOffset = view.getUint32(offset + 42, true);
+            const path = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (path.endsWith('/') || path.startsWith('__MACOSX/')) continue;
+            if (flags & 1) {
+                throw new ArchiveError(`${path} is encrypted`);
+            }
+
+            // Sizes of the local header fields can differ from the central directory
+            const start = headerOffset + 30
+                + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+            const compressed = data.subarray(start, start + compressedSize);
+            if (method === 0) {
+                files.push({ path, data: compressed });
+            } else if (method === 8) {
+                files.push({ path, data: await inflate(compressed, 'deflate-raw') });
+            } else {
+                throw new ArchiveError(`${path} uses an unsupported compression method (${method})`);
+            }
+        }
+        return files;
+    }
+
+    // Files of an input file as [{ path, data }]: the file itself, or the
+    // decompressed contents of .gz files and zip archives, also gzipped
+    // files inside zip archives
+    async function extract(path, data) {
+        if (/\.gz$/i.test(path)) {
+            return [{ path: path.slice(0, -3), data: await gunzip(data) }];
+        }
+        if (/\.zip$/i.test(path)) {
+            const files = [];
+            for (const file of await unzip(data)) {
+                files.push(...(/\.gz$/i.test(file.path) ? await extract(file.path, file.data) : [file]));
+            }
+            return files;
+        }
+        return [{ path, data }];
+    }
+
+    return {
+        ArchiveError,
+        isArchive,
+        gunzip,
+        unzip,
+        extract
+    };
+})();
@@ -0,0 +1,125 @@
+// Part instances of *PART/*ASSEMBLY models.
+//
+// The parsers flatten the parts into one mesh and list the *INSTANCE
+// placements separately (see parse_assembly_mesh). placeParts() moves the
+// nodes of every part to its first instance, so that the mesh data is in
+// assembly coordinates; further instances of the same part are drawn as
+// copies with a transform relative to the first one. Matrices are 4x4,
+// column-major like THREE.Matrix4.elements.
+
+const Assembly = (function () {
+
+    const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+    function multiply(a, b) {
+        const result = new Array(16).fill(0);
+        for (let col = 0; col < 4; col++) {
+            for (let row = 0; row < 4; row++) {
+                for (let k = 0; k < 4; k++) {
+                    result[col * 4 + row] += a[k * 4 + row] * b[col * 4 + k];
+                }
+            }
+        }
+        return result;
+    }
+
+    function translation([x, y, z]) {
+        return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+    }
+
+    // Inverse of a rotation followed by a translation
+    function invertRigid(m) {
+        const result = [m[0], m[4], m[8], 0, m[1], m[5], m[9], 0, m[2], m[6], m[10], 0, 0, 0, 0, 1];
+        for (let row = 0; row < 3; row++) {
+            result[12 + row] = -(result[row] * m[12] + result[4 + row] * m[13] + result[8 + row] * m[14]);
+        }
+        return result;
+    }
+
+    function transformPoint(m, p) {
+        const [x, y, z = 0] = p;
+        return [0, 1, 2].map(row => m[row] * x + m[4 + row] * y + m[8 + row] * z + m[12 + row]);
+    }
+
+    function isIdentity(m, tolerance = 1e-12) {
+        return m.every((value, i) => Math.abs(value - IDENTITY[i]) <= tolerance);
+    }
+
+    // Placement of an instance: the translation, then the rotation by the
+    // angle (degrees) about the axis from point a to point b
+    function instanceMatrix(instance) {
+        const moved = translation(instance.translation || [0, 0, 0]);
+        if (!instance.rotation) return moved;
+
+        const [ax, ay, az, bx, by, bz, angle] = instance.rotation;
+        const axis = [bx - ax, by - ay, bz - az];
+        const length = Math.hypot(...axis);
+        if (length === 0 || angle === 0) return moved;
+        const [ux, uy, uz] = axis.map(v => v / length);
+        const c = Math.cos(angle * Math.PI / 180);
+        const s = Math.sin(angle * Math.PI / 180);
+        const t = 1 - c;
+        const rotation = [
+            t * ux * ux + c, t * ux * uy + s * uz, t * ux * uz - s * uy, 0,
+            t * ux * uy - s * uz, t * uy * uy + c, t * uy * uz + s * ux, 0,
+            t * ux * uz + s * uy, t * uy * uz - s * ux, t * uz * uz + c, 0,
+            0, 0, 0, 1
+        ];
+        return multiply(translation([ax, ay, az]), multiply(rotation, multiply(translation([-ax, -ay, -az]), moved)));
+    }
+
+    // Instances of the mesh data as [{ name, part, matrix }]: the *INSTANCE
+    // placements of its parts, one untransformed instance per part without
+    // any, and a single unnamed one for meshes without parts
+    function instances(data) {
+        const parts = Object.keys(data.part_elements || {});
+        if (parts.length === 0) {
+            return [{ name: '', part: null, matrix: IDENTITY }];
+        }
+        const result = (data.instances || [])
+            .filter(instance => data.part_elements[instance.part])
+            .map(instance => ({ name: instance.name, part: instance.part, matrix: instanceMatrix(instance) }));
+        parts.forEach(part => {
+            if (!result.some(instance => instance.part === part)) {
+                result.push({ name: part, part, matrix: IDENTITY });
+            }
+        });
+        return result;
+    }
+
+    // Move the nodes of every part to its first instance, in place. Returns
+    // the instances with `relative`, the transform of each instance from the
+    // placed nodes (the identity for the first instance of a part).
+    function placeParts(data, nodeIndexById) {
+        const placed = instances(data);
+        const first = new Map();
+        placed.forEach(instance => {
+            if (!first.has(instance.part)) first.set(instance.part, instance.matrix);
+            instance.relative = multiply(instance.matrix, invertRigid(first.get(instance.part)));
+        });
+
+        first.forEach((matrix, part) => {
+            if (part === null || isIdentity(matrix)) return;
+            (data.part_nodes[part] || []).forEach(id => {
+                const idx = nodeIndexById.get(id);
+                if (idx === undefined) return;
+                const node = data.nodes[idx];
+                const p = transformPoint(matrix, node);
+                for (let k = 0; k < node.length; k++) node[k] = p[k];
+                if (data.positions) data.positions.set(p, idx * 3);
+            });
+        });
+        return placed;
+    }
+
+    return {
+        IDENTITY,
+        multiply,
+        invertRigid,
+        transformPoint,
+        isIdentity,
+        instanceMatrix,
+        instances,
+        placeParts
+    };
+})();
@@ -0,0 +1,87 @@
+// Decoder of the binary mesh format of the backend.
+//
+// The backend sends coordinates, connectivity, type codes and ids as typed
+// arrays when asked for MIME_TYPE (see mesh_to_binary in AbaqusReaderAPI.jl).
+// decode() returns the same fields as the JSON response, but the rows of
+// nodes, faces, cells and lines are views into the received buffer and
+// `positions` is ready for a Float32BufferAttribute.
+
+const BinaryMesh = (function () {
+
+    const MIME_TYPE = 'application/x-abaqus-mesh';
+    const VERSION = 1;
+
+    const ARRAY_TYPES = {
+        float64: Float64Array,
+        int32: Int32Array,
+        uint32: Uint32Array,
+        uint8: Uint8Array
+    };
+
+    // Rows of a flat array given by n+1 offsets, as views sharing its buffer
+    function rows(values, offsets) {
+        const result = new Array(offsets.length - 1);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = values.subarray(offsets[i], offsets[i + 1]);
+        }
+        return result;
+    }
+
+    function names(indices, table) {
+        return Array.from(indices, idx => table[idx]);
+    }
+
+    // Typed arrays are read in the byte order of the platform, the format is
+    // little-endian like every platform a browser runs on
+    function decode(buffer) {
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+        if (magic !== 'ABQM') {
+            throw new Error('Not a binary mesh');
+        }
+        const version = view.getUint32(4, true);
+        if (version !== VERSION) {
+            throw new Error(`Unsupported binary mesh version ${version}`);
+        }
+        const headerLength = view.getUint32(8, true);
+        const data = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)));
+        const start = 12 + headerLength;
+
+        const arrays = {};
+        data.buffers.forEach(({ name, dtype, offset, length }) => {
+            arrays[name] = new ARRAY_TYPES[dtype](buffer, start + offset, length);
+        });
+        const tables = data.names;
+        delete data.buffers;
+        delete data.names;
+
+        const coords = arrays.nodes;
+        data.positions = new Float32Array(coords);
+        data.nodes = new Array(coords.length / 3);
+        for (let i = 0; i < data.nodes.length; i++) {
+            data.nodes[i] = coords.subarray(3 * i, 3 * i + 3);
+        }
+        data.node_ids = arrays.node_ids;
+
+        data.elements = rows(arrays.faces, arrays.face_offsets);
+        data.element_types = names(arrays.face_types, tables.face_types);
+        data.face_elements = arrays.face_elements;
+
+        data.cells = {
+            ids: arrays.cell_ids,
+            codes: names(arrays.cell_codes, tables.cell_codes),
+            types: names(arrays.cell_types, tables.cell_types),
+            connectivity: rows(arrays.cell_connectivity, arrays.cell_offsets)
+        };
+
+        data.lines = rows(arrays.lines, arrays.line_offsets);
+        data.line_types = names(arrays.line_types, tables.line_types);
+        data.line_elements = arrays.line_elements;
+        return data;
+    }
+
+    return {
+        MIME_TYPE,
+        decode
+    };
+})();
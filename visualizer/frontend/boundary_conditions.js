@@ -0,0 +1,185 @@
+// Boundary conditions and loads of the model data of the backend.
+//
+// Resolves the *BOUNDARY, *CLOAD, *DLOAD and *DSLOAD rows active in a step
+// (see boundary_condition_to_json in AbaqusReaderAPI.jl) to the node
+// indices and faces of the mesh data, ready to be drawn as glyphs.
+
+const BoundaryConditions = (function () {
+
+    // Constrained DOFs of the *BOUNDARY types
+    const BOUNDARY_TYPES = {
+        ENCASTRE: [1, 2, 3, 4, 5, 6],
+        PINNED: [1, 2, 3],
+        XSYMM: [1, 5, 6],
+        YSYMM: [2, 4, 6],
+        ZSYMM: [3, 4, 5],
+        XASYMM: [2, 3, 4],
+        YASYMM: [1, 3, 5],
+        ZASYMM: [1, 2, 6]
+    };
+
+    // Conditions of the model and all its steps
+    function allConditions(model) {
+        return (model.boundary_conditions || [])
+            .concat(...(model.steps || []).map(step => step.boundary_conditions || []));
+    }
+
+    // Conditions active in step `step` (0-based, -1 for the initial
+    // conditions given before the first step): those of the model and of
+    // the steps up to it, OP=NEW dropping the earlier ones of its keyword
+    function stepConditions(model, step) {
+        let active = (model.boundary_conditions || []).slice();
+        (model.steps || []).slice(0, step + 1).forEach(({ boundary_conditions: conditions = [] }) => {
+            const renewed = new Set();
+            conditions.forEach(condition => {
+                const op = String((condition.options || {}).OP || 'MOD').toUpperCase();
+                if (op === 'NEW' && !renewed.has(condition.kind)) {
+                    active = active.filter(other => other.kind !== condition.kind);
+                    renewed.add(condition.kind);
+                }
+                active.push(condition);
+            });
+        });
+        return active;
+    }
+
+    // Ids of a set by its name, ABAQUS names are case-insensitive
+    function findSet(sets, name) {
+        if (sets[name]) return sets[name];
+        const upper = name.toUpperCase();
+        const key = Object.keys(sets).find(other => other.toUpperCase() === upper);
+        return key === undefined ? null : sets[key];
+    }
+
+    // Indices of a node or element id, or of the members of a set
+    function targetIndices(target, sets, indexById) {
+        const ids = typeof target === 'number' ? [target] : findSet(sets, String(target)) || [];
+        const indices = [];
+        ids.forEach(id => {
+            const idx = indexById.get(id);
+            if (idx !== undefined) indices.push(idx);
+        });
+        return indices;
+    }
+
+    // Corner nodes of an element side ordered so that the normal points out
+    // of the element, like the faces of element-based surfaces
+    function outwardCorners(nodes, side, connectivity) {
+        const corners = side.length === 6 || side.length === 8 ? side.slice(0, side.length / 2) : side;
+        const center = indices => [0, 1, 2].map(k =>
+            indices.reduce((sum, idx) => sum + (nodes[idx][k] || 0), 0) / indices.length);
+        const faceCenter = center(corners);
+        const elementCenter = center(Array.from(connectivity));
+        const normal = [0, 0, 0];
+        corners.forEach((a, i) => {
+            const p = nodes[a];
+            const q = nodes[corners[(i + 1) % corners.length]];
+            normal[0] += (p[1] - q[1]) * ((p[2] || 0) + (q[2] || 0));
+            normal[1] += ((p[2] || 0) - (q[2] || 0)) * (p[0] + q[0]);
+            normal[2] += (p[0] - q[0]) * (p[1] + q[1]);
+        });
+        const outward = [0, 1, 2].reduce((sum, k) => sum + normal[k] * (faceCenter[k] - elementCenter[k]), 0);
+        return outward < 0 ? [corners[0], ...corners.slice(1).reverse()] : corners;
+    }
+
+    // Glyphs of conditions in the mesh data:
+    //   constraints: [{ node, dofs }] constrained DOFs of each node
+    //   forces: [{ node, vector }] concentrated force of each node
+    //   pressures: [{ face, magnitude }] pressure on element faces, solid
+    //              element faces with their normal pointing out
+    //   skipped: rows that could not be resolved or drawn (moments, body
+    //            loads, unknown sets)
+    // Later rows replace earlier loads of the same node and DOF or face.
+    function resolve(data, conditions, nodeIndexById, cellIndexById) {
+        const constrained = new Map();
+        const loads = new Map();
+        const pressures = new Map();
+        let skipped = 0;
+
+        conditions.forEach(condition => {
+            (condition.data || []).forEach(row => {
+                const [target, first, second] = row;
+                if (condition.kind === 'BOUNDARY') {
+                    const nodes = targetIndices(target, data.node_sets, nodeIndexById);
+                    let dofs = [];
+                    if (typeof first === 'string') {
+                        dofs = BOUNDARY_TYPES[first.toUpperCase()] || [];
+                    } else if (typeof first === 'number') {
+                        for (let dof = first; dof <= (typeof second === 'number' ? second : first); dof++) {
+                            dofs.push(dof);
+                        }
+                    }
+                    if (nodes.length === 0 || dofs.length === 0) {
+                        skipped++;
+                        return;
+                    }
+                    nodes.forEach(node => {
+                        if (!constrained.has(node)) constrained.set(node, new Set());
+                        dofs.forEach(dof => constrained.get(node).add(dof));
+                    });
+                } else if (condition.kind === 'CLOAD') {
+                    const nodes = targetIndices(target, data.node_sets, nodeIndexById);
+                    if (nodes.length === 0 || !(first >= 1 && first <= 3) || typeof second !== 'number') {
+                        skipped++;
+                        return;
+                    }
+                    nodes.forEach(node => loads.set(`${node},${first}`, { node, dof: first, value: second }));
+                } else if (condition.kind === 'DSLOAD') {
+                    const surface = findSet(data.surfaces || {}, String(target));
+                    if (!surface || !/^P$/i.test(String(first)) || typeof second !== 'number') {
+                        skipped++;
+                        return;
+                    }
+                    surface.faces.forEach((face, idx) => {
+                        pressures.set(`${String(target).toUpperCase()}:${idx}`, { face, magnitude: second });
+                    });
+                } else if (condition.kind === 'DLOAD') {
+                    // P on shells, P1, P2, ... on the sides of solid elements
+                    const match = /^P(\d?)$/i.exec(String(first));
+                    const cells = targetIndices(target, data.element_sets, cellIndexById);
+                    if (!match || cells.length === 0 || typeof second !== 'number') {
+                        skipped++;
+                        return;
+                    }
+                    // Elements without that side, e.g. P on solid elements, are skipped
+                    const side = match[1] ? `S${match[1]}` : 'SPOS';
+                    let drawn = false;
+                    cells.forEach(cell => {
+                        const connectivity = data.cells.connectivity[cell];
+                        const face = AbaqusReader.elementSideNodes(data.cells.types[cell], connectivity, side);
+                        if (face) {
+                            pressures.set(`${cell}:${side}`, {
+                                face: side === 'SPOS' ? face : outwardCorners(data.nodes, face, connectivity),
+                                magnitude: second
+                            });
+                            drawn = true;
+                        }
+                    });
+                    if (!drawn) skipped++;
+                } else {
+                    skipped++;
+                }
+            });
+        });
+
+        const forces = new Map();
+        loads.forEach(({ node, dof, value }) => {
+            if (!forces.has(node)) forces.set(node, [0, 0, 0]);
+            forces.get(node)[dof - 1] = value;
+        });
+
+        return {
+            constraints: Array.from(constrained, ([node, dofs]) => ({ node, dofs: Array.from(dofs).sort() })),
+            forces: Array.from(forces, ([node, vector]) => ({ node, vector })),
+            pressures: Array.from(pressures.values()),
+            skipped
+        };
+    }
+
+    return {
+        BOUNDARY_TYPES,
+        allConditions,
+        stepConditions,
+        resolve
+    };
+})();
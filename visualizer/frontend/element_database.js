@@ -0,0 +1,66 @@
+// ABAQUS element database for the in-browser parser.
+//
+// GENERATED FILE - do not edit by hand. Regenerate from data/abaqus_elements.toml with:
+//     julia scripts/generate_element_database_js.jl
+
+const ELEMENT_DATABASE = {
+    "B31": { nodes: 2, type: "Seg2" },
+    "B32": { nodes: 3, type: "Seg3" },
+    "B33": { nodes: 2, type: "Seg2" },
+    "C3D10": { nodes: 10, type: "Tet10" },
+    "C3D10H": { nodes: 10, type: "Tet10" },
+    "C3D10M": { nodes: 10, type: "Tet10" },
+    "C3D10R": { nodes: 10, type: "Tet10" },
+    "C3D15": { nodes: 15, type: "Wedge15" },
+    "C3D20": { nodes: 20, type: "Hex20" },
+    "C3D20E": { nodes: 20, type: "Hex20" },
+    "C3D20H": { nodes: 20, type: "Hex20" },
+    "C3D20R": { nodes: 20, type: "Hex20" },
+    "C3D20RH": { nodes: 20, type: "Hex20" },
+    "C3D4": { nodes: 4, type: "Tet4" },
+    "C3D4H": { nodes: 4, type: "Tet4" },
+    "C3D6": { nodes: 6, type: "Wedge6" },
+    "C3D8": { nodes: 8, type: "Hex8" },
+    "C3D8H": { nodes: 8, type: "Hex8" },
+    "C3D8I": { nodes: 8, type: "Hex8" },
+    "C3D8R": { nodes: 8, type: "Hex8" },
+    "C3D8RH": { nodes: 8, type: "Hex8" },
+    "CAX3": { nodes: 3, type: "Tri3" },
+    "CAX4": { nodes: 4, type: "Quad4" },
+    "CAX4I": { nodes: 4, type: "Quad4" },
+    "CAX4R": { nodes: 4, type: "Quad4" },
+    "CAX6": { nodes: 6, type: "Tri6" },
+    "CAX8": { nodes: 8, type: "Quad8" },
+    "CAX8R": { nodes: 8, type: "Quad8" },
+    "COH3D8": { nodes: 8, type: "Hex8" },
+    "CPE3": { nodes: 3, type: "Tri3" },
+    "CPE4": { nodes: 4, type: "Quad4" },
+    "CPE4I": { nodes: 4, type: "Quad4" },
+    "CPE4R": { nodes: 4, type: "Quad4" },
+    "CPE6": { nodes: 6, type: "Tri6" },
+    "CPE8": { nodes: 8, type: "Quad8" },
+    "CPE8R": { nodes: 8, type: "Quad8" },
+    "CPS3": { nodes: 3, type: "Tri3" },
+    "CPS4": { nodes: 4, type: "Quad4" },
+    "CPS4I": { nodes: 4, type: "Quad4" },
+    "CPS4R": { nodes: 4, type: "Quad4" },
+    "CPS6": { nodes: 6, type: "Tri6" },
+    "CPS8": { nodes: 8, type: "Quad8" },
+    "CPS8R": { nodes: 8, type: "Quad8" },
+    "DC3D10": { nodes: 10, type: "Tet10" },
+    "DC3D20": { nodes: 20, type: "Hex20" },
+    "DC3D4": { nodes: 4, type: "Tet4" },
+    "DC3D8": { nodes: 8, type: "Hex8" },
+    "DCOUP3D": { nodes: 1, type: "Poi1" },
+    "MASS": { nodes: 1, type: "Poi1" },
+    "ROTARYI": { nodes: 1, type: "Poi1" },
+    "S3": { nodes: 3, type: "Tri3" },
+    "S3R": { nodes: 3, type: "Tri3" },
+    "S4": { nodes: 4, type: "Quad4" },
+    "S4R": { nodes: 4, type: "Quad4" },
+    "S8R": { nodes: 8, type: "Quad8" },
+    "STRI3": { nodes: 3, type: "Tri3" },
+    "STRI65": { nodes: 6, type: "Tri6" },
+    "T2D2": { nodes: 2, type: "Seg2" },
+    "T3D2": { nodes: 2, type: "Seg2" }
+};
@@ -0,0 +1,26 @@
+// Web Worker building the display surface off the main thread.
+//
+// Receives { coords, faces, subdivisions } as flat typed arrays (see
+// MeshGeometry.flattenNodes and flattenFaces), reports { type: 'progress' }
+// while triangulating and answers { type: 'done', surface, boundingBox }
+// with the typed arrays of the surface transferred, not copied.
+
+importScripts('mesh_geometry.js');
+
+self.onmessage = event => {
+    const { coords, faces, subdivisions } = event.data;
+    try {
+        const surface = MeshGeometry.triangulateSurface(coords, faces, subdivisions, progress => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        const boundingBox = MeshGeometry.boundingBox(coords);
+        self.postMessage({ type: 'done', surface, boundingBox }, [
+            surface.positions.buffer,
+            surface.triangles.buffer,
+            surface.edges.buffer,
+            surface.triangleFaces.buffer
+        ]);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
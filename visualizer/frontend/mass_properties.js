@@ -0,0 +1,478 @@
+// Mass properties of the model, its parts and element sets.
+//
+// Elements are integrated with their isoparametric shape functions over all
+// their nodes, so quadratic elements count with their curved edges and
+// faces, and the surface area comes from the boundary faces of the volume
+// elements of a group rather than from the display surface. Shells and 2D
+// elements get a volume from their section thickness, trusses and beams
+// from their section area; their own through-thickness or cross-section
+// inertia is neglected.
+
+const MassProperties = (function () {
+
+    // 3-point Gauss-Legendre rule on [-1, 1]
+    const GAUSS = [[-Math.sqrt(0.6), 5 / 9], [0, 8 / 9], [Math.sqrt(0.6), 5 / 9]];
+
+    // Integration points { xi, weight } of the natural domains. Triangles
+    // and tetrahedra are collapsed squares and cubes (Duffy transform).
+    function domainPoints(domain) {
+        const points = [];
+        const unit = GAUSS.map(([g, w]) => [(1 + g) / 2, w / 2]);
+        switch (domain) {
+            case 'line':
+                GAUSS.forEach(([x, w]) => points.push({ xi: [x], weight: w }));
+                break;
+            case 'square':
+                GAUSS.forEach(([x, wx]) => GAUSS.forEach(([y, wy]) => points.push({ xi: [x, y], weight: wx * wy })));
+                break;
+            case 'cube':
+                GAUSS.forEach(([x, wx]) => GAUSS.forEach(([y, wy]) => GAUSS.forEach(([z, wz]) =>
+                    points.push({ xi: [x, y, z], weight: wx * wy * wz }))));
+                break;
+            case 'triangle':
+                unit.forEach(([u, wu]) => unit.forEach(([v, wv]) =>
+                    points.push({ xi: [u, v * (1 - u)], weight: wu * wv * (1 - u) })));
+                break;
+            case 'tetrahedron':
+                unit.forEach(([u, wu]) => unit.forEach(([v, wv]) => unit.forEach(([w, ww]) =>
+                    points.push({
+                        xi: [u, v * (1 - u), w * (1 - u) * (1 - v)],
+                        weight: wu * wv * ww * (1 - u) * (1 - u) * (1 - v)
+                    }))));
+                break;
+            case 'wedge':
+                unit.forEach(([u, wu]) => unit.forEach(([v, wv]) => GAUSS.forEach(([z, wz]) =>
+                    points.push({ xi: [u, v * (1 - u), z], weight: wu * wv * (1 - u) * wz }))));
+                break;
+        }
+        return points;
+    }
+
+    // Quadratic simplex shape functions from the barycentric coordinates:
+    // the corners, then the midside nodes of the edges (1-based corners)
+    function quadraticSimplex(L, edges) {
+        return L.map(l => l * (2 * l - 1)).concat(edges.map(([a, b]) => 4 * L[a - 1] * L[b - 1]));
+    }
+
+    // Serendipity shape functions of squares and cubes: the corners at
+    // natural coordinates ±1, then the midside nodes of the edges
+    function serendipity(xi, corners, edges) {
+        const d = xi.length;
+        const N = corners.map(c => {
+            let n = 1, sum = 0;
+            for (let k = 0; k < d; k++) {
+                n *= (1 + xi[k] * c[k]) / 2;
+                sum += xi[k] * c[k];
+            }
+            return n * (sum - (d - 1));
+        });
+        edges.forEach(([a, b]) => {
+            const c = corners[a - 1].map((value, k) => (value + corners[b - 1][k]) / 2);
+            let n = 1;
+            for (let k = 0; k < d; k++) {
+                n *= c[k] === 0 ? 1 - xi[k] * xi[k] : (1 + xi[k] * c[k]) / 2;
+            }
+            N.push(n);
+        });
+        return N;
+    }
+
+    function multilinear(xi, corners) {
+        return corners.map(c => c.reduce((n, value, k) => n * (1 + xi[k] * value) / 2, 1));
+    }
+
+    const SQUARE = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+    const SQUARE_EDGES = [[1, 2], [2, 3], [3, 4], [4, 1]];
+    const CUBE = [[-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1], [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]];
+    const CUBE_EDGES = [[1, 2], [2, 3], [3, 4], [4, 1], [5, 6], [6, 7], [7, 8], [8, 5], [1, 5], [2, 6], [3, 7], [4, 8]];
+    const TRIANGLE_EDGES = [[1, 2], [2, 3], [3, 1]];
+    const TET_EDGES = [[1, 2], [2, 3], [3, 1], [1, 4], [2, 4], [3, 4]];
+
+    // Dimension, natural domain and shape functions (in ABAQUS node order)
+    // of the topological element types
+    const ELEMENTS = {
+        Seg2: { dimension: 1, domain: 'line', shape: ([x]) => [(1 - x) / 2, (1 + x) / 2] },
+        Seg3: { dimension: 1, domain: 'line', shape: ([x]) => [x * (x - 1) / 2, 1 - x * x, x * (x + 1) / 2] },
+        Tri3: { dimension: 2, domain: 'triangle', shape: ([r, s]) => [1 - r - s, r, s] },
+        Tri6: { dimension: 2, domain: 'triangle', shape: ([r, s]) => quadraticSimplex([1 - r - s, r, s], TRIANGLE_EDGES) },
+        Quad4: { dimension: 2, domain: 'square', shape: xi => multilinear(xi, SQUARE) },
+        Quad8: { dimension: 2, domain: 'square', shape: xi => serendipity(xi, SQUARE, SQUARE_EDGES) },
+        Tet4: { dimension: 3, domain: 'tetrahedron', shape: ([r, s, t]) => [1 - r - s - t, r, s, t] },
+        Tet10: {
+            dimension: 3, domain: 'tetrahedron',
+            shape: ([r, s, t]) => quadraticSimplex([1 - r - s - t, r, s, t], TET_EDGES)
+        },
+        Hex8: { dimension: 3, domain: 'cube', shape: xi => multilinear(xi, CUBE) },
+        Hex20: { dimension: 3, domain: 'cube', shape: xi => serendipity(xi, CUBE, CUBE_EDGES) },
+        Wedge6: {
+            dimension: 3, domain: 'wedge',
+            shape: ([r, s, z]) => {
+                const L = [1 - r - s, r, s];
+                return L.map(l => l * (1 - z) / 2).concat(L.map(l => l * (1 + z) / 2));
+            }
+        },
+        Wedge15: {
+            dimension: 3, domain: 'wedge',
+            shape: ([r, s, z]) => {
+                const L = [1 - r - s, r, s];
+                const bubble = 1 - z * z;
+                return [
+                    ...L.map(l => l * (2 * l - 1) * (1 - z) / 2 - l * bubble / 2),
+                    ...L.map(l => l * (2 * l - 1) * (1 + z) / 2 - l * bubble / 2),
+                    ...TRIANGLE_EDGES.map(([a, b]) => 2 * L[a - 1] * L[b - 1] * (1 - z)),
+                    ...TRIANGLE_EDGES.map(([a, b]) => 2 * L[a - 1] * L[b - 1] * (1 + z)),
+                    ...L.map(l => l * bubble)
+                ];
+            }
+        }
+    };
+
+    // Face types by number of face nodes (quadratic faces list corners first)
+    const FACE_TYPE_BY_SIZE = { 3: 'Tri3', 4: 'Quad4', 6: 'Tri6', 8: 'Quad8' };
+
+    // Shape functions and their derivatives at the integration points of
+    // each element type, computed once. The shape functions are at most
+    // quadratic in each natural coordinate, so central differences give
+    // their derivatives exactly.
+    const rules = {};
+    function rule(type) {
+        if (!rules[type]) {
+            const { domain, shape } = ELEMENTS[type];
+            const h = 0.5;
+            rules[type] = domainPoints(domain).map(({ xi, weight }) => ({
+                weight,
+                N: shape(xi),
+                dN: xi.map((_, k) => {
+                    const plus = xi.slice(), minus = xi.slice();
+                    plus[k] += h;
+                    minus[k] -= h;
+                    const Np = shape(plus), Nm = shape(minus);
+                    return Np.map((value, i) => (value - Nm[i]) / (2 * h));
+                })
+            }));
+        }
+        return rules[type];
+    }
+
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    // Length, area or volume of an element and its first and second
+    // moments about the origin: { measure, first: [x, y, z],
+    // second: [xx, yy, zz, xy, yz, zx] }, null for unknown types
+    function integrate(nodes, type, connectivity) {
+        const element = ELEMENTS[type];
+        if (!element || connectivity.length !== rule(type)[0].N.length) return null;
+        const p = Array.from(connectivity, idx => {
+            const node = nodes[idx];
+            return [node[0], node[1], node[2] || 0];
+        });
+
+        let measure = 0;
+        const first = [0, 0, 0];
+        const second = [0, 0, 0, 0, 0, 0];
+        rule(type).forEach(({ weight, N, dN }) => {
+            const x = [0, 0, 0];
+            const J = dN.map(() => [0, 0, 0]);
+            p.forEach((point, i) => {
+                for (let k = 0; k < 3; k++) {
+                    x[k] += N[i] * point[k];
+                    dN.forEach((d, r) => { J[r][k] += d[i] * point[k]; });
+                }
+            });
+            let jacobian;
+            if (element.dimension === 1) {
+                jacobian = Math.hypot(...J[0]);
+            } else if (element.dimension === 2) {
+                jacobian = Math.hypot(...cross(J[0], J[1]));
+            } else {
+                const c = cross(J[1], J[2]);
+                jacobian = Math.abs(J[0][0] * c[0] + J[0][1] * c[1] + J[0][2] * c[2]);
+            }
+            const dV = weight * jacobian;
+            measure += dV;
+            for (let k = 0; k < 3; k++) first[k] += x[k] * dV;
+            second[0] += x[0] * x[0] * dV;
+            second[1] += x[1] * x[1] * dV;
+            second[2] += x[2] * x[2] * dV;
+            second[3] += x[0] * x[1] * dV;
+            second[4] += x[1] * x[2] * dV;
+            second[5] += x[2] * x[0] * dV;
+        });
+        return { measure, first, second };
+    }
+
+    // Integrals of all cells, aligned with them: { dimension, measure,
+    // first (3 per cell), second (6 per cell) }, dimension 0 for cells that
+    // can't be integrated
+    function cellIntegrals(nodes, cellTypes, cellConnectivity) {
+        const count = cellTypes.length;
+        const result = {
+            dimension: new Int8Array(count),
+            measure: new Float64Array(count),
+            first: new Float64Array(count * 3),
+            second: new Float64Array(count * 6)
+        };
+        for (let cell = 0; cell < count; cell++) {
+            const integral = integrate(nodes, cellTypes[cell], cellConnectivity[cell]);
+            if (!integral) continue;
+            result.dimension[cell] = ELEMENTS[cellTypes[cell]].dimension;
+            result.measure[cell] = integral.measure;
+            result.first.set(integral.first, cell * 3);
+            result.second.set(integral.second, cell * 6);
+        }
+        return result;
+    }
+
+    // Cross-section area of truss and beam sections, null when unknown
+    function sectionArea(section) {
+        if (section.type === 'SolidSection') {
+            return section.area > 0 ? section.area : null;
+        }
+        if (section.type !== 'BeamSection') return null;
+        const d = section.dimensions || [];
+        let area;
+        switch (section.section) {
+            case 'CIRC':
+                area = Math.PI * d[0] * d[0];
+                break;
+            case 'PIPE':
+                area = Math.PI * (d[0] * d[0] - (d[0] - d[1]) * (d[0] - d[1]));
+                break;
+            case 'RECT':
+                area = d[0] * d[1];
+                break;
+            case 'BOX':
+                // a, b, t1, t2, t3, t4 with the walls t1..t4 counterclockwise from the right
+                area = d[0] * d[1] - (d[0] - d[2] - d[4]) * (d[1] - d[3] - d[5]);
+                break;
+            case 'I':
+                // l, h, b1, b2, t1, t2, t3
+                area = d[2] * d[4] + d[3] * d[5] + (d[1] - d[4] - d[5]) * d[6];
+                break;
+        }
+        return area > 0 ? area : null;
+    }
+
+    function findByName(items, name) {
+        const upper = String(name).toUpperCase();
+        return items.find(item => String(item.name).toUpperCase() === upper) || null;
+    }
+
+    // Ids of an element set by its name, case-insensitive. Sections inside
+    // *PART name a set of their part, which the mesh data prefixes with the
+    // part name: the sets of that name in all parts are taken then.
+    function findSet(sets, name) {
+        if (sets[name]) return sets[name];
+        const upper = name.toUpperCase();
+        const key = Object.keys(sets).find(other => other.toUpperCase() === upper);
+        if (key !== undefined) return sets[key];
+        const suffix = '.' + upper;
+        return [].concat(...Object.keys(sets)
+            .filter(other => other.toUpperCase().endsWith(suffix))
+            .map(other => sets[other]));
+    }
+
+    // Volume per unit measure (1 for volume elements, the thickness of
+    // shells and the area of trusses and beams) and the density of every
+    // cell from the sections and materials of the model data, NaN where
+    // unknown. The first section assigned to an element counts.
+    function cellSections(data, cellIndexById, integrals) {
+        const count = integrals.dimension.length;
+        const factor = new Float64Array(count).fill(NaN);
+        const density = new Float64Array(count).fill(NaN);
+        const assigned = new Uint8Array(count);
+        const model = data.model || {};
+        (model.properties || []).forEach(section => {
+            const ids = findSet(data.element_sets || {}, section.element_set || '');
+            const material = section.material ? findByName(model.materials || [], section.material) : null;
+            const densityProperty = material && (material.properties || []).find(prop => prop.type === 'Density');
+            const rho = densityProperty ? densityProperty.density : NaN;
+            ids.forEach(id => {
+                const cell = cellIndexById.get(id);
+                if (cell === undefined || assigned[cell]) return;
+                assigned[cell] = 1;
+                const dimension = integrals.dimension[cell];
+                if (dimension === 1) {
+                    const area = sectionArea(section);
+                    if (area !== null) factor[cell] = area;
+                } else if (dimension === 2) {
+                    // Shell thickness, or the thickness of planar elements
+                    // given on the data line of *SOLID SECTION
+                    const thickness = section.type === 'ShellSection' ? section.thickness : section.area;
+                    if (thickness > 0) factor[cell] = thickness;
+                }
+                density[cell] = rho;
+            });
+        });
+        for (let cell = 0; cell < count; cell++) {
+            if (integrals.dimension[cell] === 3) factor[cell] = 1;
+        }
+        return { factor, density };
+    }
+
+    function emptyMoments() {
+        return { total: 0, first: [0, 0, 0], second: [0, 0, 0, 0, 0, 0] };
+    }
+
+    function addMoments(moments, integrals, cell, scale) {
+        moments.total += integrals.measure[cell] * scale;
+        for (let k = 0; k < 3; k++) moments.first[k] += integrals.first[cell * 3 + k] * scale;
+        for (let k = 0; k < 6; k++) moments.second[k] += integrals.second[cell * 6 + k] * scale;
+    }
+
+    // Totals of a group of cells: the counts, the length of line elements,
+    // the mid-surface area of shell and 2D elements, the volume and mass,
+    // and the moments of the mass, of the volume and of the plain measure
+    // for the center and the inertia
+    function groupSums(integrals, sections, cells) {
+        const sums = {
+            elements: 0,
+            length: 0,
+            area: 0,
+            volume: 0,
+            mass: 0,
+            withoutSection: 0,  // Line and surface elements without a cross-section or thickness
+            withoutDensity: 0,  // Elements with a volume but no density
+            moments: { mass: emptyMoments(), volume: emptyMoments(), measure: emptyMoments() }
+        };
+        cells.forEach(cell => {
+            const dimension = integrals.dimension[cell];
+            if (dimension === 0) return;
+            sums.elements++;
+            const measure = integrals.measure[cell];
+            if (dimension === 1) sums.length += measure;
+            if (dimension === 2) sums.area += measure;
+            addMoments(sums.moments.measure, integrals, cell, 1);
+
+            const factor = sections.factor[cell];
+            if (!Number.isFinite(factor)) {
+                sums.withoutSection++;
+                return;
+            }
+            sums.volume += measure * factor;
+            addMoments(sums.moments.volume, integrals, cell, factor);
+
+            const density = sections.density[cell];
+            if (!Number.isFinite(density)) {
+                sums.withoutDensity++;
+                return;
+            }
+            sums.mass += measure * factor * density;
+            addMoments(sums.moments.mass, integrals, cell, factor * density);
+        });
+        return sums;
+    }
+
+    // Sums of a copy of a group moved by a rigid transform (4x4
+    // column-major, see Assembly): x' = R x + t
+    function transformSums(sums, m) {
+        const R = [[m[0], m[4], m[8]], [m[1], m[5], m[9]], [m[2], m[6], m[10]]];
+        const t = [m[12], m[13], m[14]];
+        const transform = ({ total, first, second }) => {
+            const Q = [
+                [second[0], second[3], second[5]],
+                [second[3], second[1], second[4]],
+                [second[5], second[4], second[2]]
+            ];
+            const S = R.map(row => row[0] * first[0] + row[1] * first[1] + row[2] * first[2]);
+            // R Q R^T + (R S) t^T + t (R S)^T + total t t^T
+            const RQ = R.map(row => [0, 1, 2].map(c => row[0] * Q[0][c] + row[1] * Q[1][c] + row[2] * Q[2][c]));
+            const Q2 = R.map((_, i) => R.map((row, j) =>
+                RQ[i][0] * row[0] + RQ[i][1] * row[1] + RQ[i][2] * row[2] + S[i] * t[j] + t[i] * S[j] + total * t[i] * t[j]));
+            return {
+                total,
+                first: S.map((value, k) => value + total * t[k]),
+                second: [Q2[0][0], Q2[1][1], Q2[2][2], Q2[0][1], Q2[1][2], Q2[2][0]]
+            };
+        };
+        return {
+            ...sums,
+            moments: {
+                mass: transform(sums.moments.mass),
+                volume: transform(sums.moments.volume),
+                measure: transform(sums.moments.measure)
+            }
+        };
+    }
+
+    function addSums(a, b) {
+        const add = (x, y) => ({
+            total: x.total + y.total,
+            first: x.first.map((value, k) => value + y.first[k]),
+            second: x.second.map((value, k) => value + y.second[k])
+        });
+        return {
+            elements: a.elements + b.elements,
+            length: a.length + b.length,
+            area: a.area + b.area,
+            volume: a.volume + b.volume,
+            mass: a.mass + b.mass,
+            withoutSection: a.withoutSection + b.withoutSection,
+            withoutDensity: a.withoutDensity + b.withoutDensity,
+            moments: {
+                mass: add(a.moments.mass, b.moments.mass),
+                volume: add(a.moments.volume, b.moments.volume),
+                measure: add(a.moments.measure, b.moments.measure)
+            }
+        };
+    }
+
+    // Area of the boundary faces of the volume elements among cells
+    function boundaryArea(nodes, cellTypes, cellConnectivity, cells) {
+        const solids = cells.filter(cell => ELEMENTS[cellTypes[cell]] && ELEMENTS[cellTypes[cell]].dimension === 3);
+        const [faces] = AbaqusReader.extractBoundaryFaces(
+            solids, solids.map(cell => cellTypes[cell]), solids.map(cell => cellConnectivity[cell]));
+        return faces.reduce((sum, face) => {
+            const integral = integrate(nodes, FACE_TYPE_BY_SIZE[face.length], face);
+            return sum + (integral ? integral.measure : 0);
+        }, 0);
+    }
+
+    // Properties of summed groups: { elements, length, area, volume, mass
+    // (null without densities), withoutSection and withoutDensity (counts of
+    // the elements left out of the volume and of the mass), weight ('mass', 'volume' or 'measure', what
+    // the center and inertia are of), center, inertia (3x3 about the center) }
+    function summarize(sums) {
+        const weight = sums.moments.mass.total > 0 ? 'mass' : sums.moments.volume.total > 0 ? 'volume' : 'measure';
+        const { total, first, second } = sums.moments[weight];
+        let center = null;
+        let inertia = null;
+        if (total > 0) {
+            center = first.map(value => value / total);
+            const Q = [
+                [second[0], second[3], second[5]],
+                [second[3], second[1], second[4]],
+                [second[5], second[4], second[2]]
+            ].map((row, i) => row.map((value, j) => value - total * center[i] * center[j]));
+            const trace = Q[0][0] + Q[1][1] + Q[2][2];
+            inertia = Q.map((row, i) => row.map((value, j) => (i === j ? trace : 0) - value));
+        }
+        return {
+            elements: sums.elements,
+            length: sums.length,
+            area: sums.area,
+            volume: sums.volume,
+            mass: sums.moments.mass.total > 0 ? sums.mass : null,
+            withoutSection: sums.withoutSection,
+            withoutDensity: sums.withoutDensity,
+            weight,
+            center,
+            inertia
+        };
+    }
+
+    return {
+        ELEMENTS,
+        integrate,
+        cellIntegrals,
+        sectionArea,
+        cellSections,
+        groupSums,
+        transformSums,
+        addSums,
+        boundaryArea,
+        summarize
+    };
+})();
@@ -0,0 +1,105 @@
+// Measurements between picked nodes for the measurement tools.
+//
+// Points are [x, y, z] arrays in model coordinates. ABAQUS has no units,
+// the unit of lengths is a setting of the user and only used for labels.
+
+const Measure = (function () {
+
+    // Length units offered for the labels, '' for none
+    const UNITS = ['', 'mm', 'cm', 'm', 'in', 'ft'];
+
+    function sub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+    function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+    function scale(a, s) { return [a[0] * s, a[1] * s, a[2] * s]; }
+    function add(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+
+    function distance(a, b) {
+        return Math.sqrt(dot(sub(b, a), sub(b, a)));
+    }
+
+    // Angle in degrees at `vertex` between the directions to a and c, null
+    // when a or c coincides with the vertex
+    function angle(a, vertex, c) {
+        const u = sub(a, vertex);
+        const w = sub(c, vertex);
+        const lengths = Math.sqrt(dot(u, u) * dot(w, w));
+        if (lengths === 0) return null;
+        return Math.acos(Math.max(-1, Math.min(1, dot(u, w) / lengths))) * 180 / Math.PI;
+    }
+
+    // Circle through three points as { center, radius, normal }, null when
+    // the points are (nearly) on a line
+    function circleThrough(a, b, c) {
+        const ab = sub(b, a);
+        const ac = sub(c, a);
+        const n = cross(ab, ac);
+        const nn = dot(n, n);
+        if (nn <= 1e-12 * dot(ab, ab) * dot(ac, ac)) return null;
+        const offset = scale(add(scale(cross(n, ab), dot(ac, ac)), scale(cross(ac, n), dot(ab, ab))), 1 / (2 * nn));
+        return {
+            center: add(a, offset),
+            radius: Math.sqrt(dot(offset, offset)),
+            normal: scale(n, 1 / Math.sqrt(nn))
+        };
+    }
+
+    // Points along a circle, closed
+    function circlePoints({ center, radius, normal }, segments = 64) {
+        const u = Math.abs(normal[0]) < 0.9 ? cross(normal, [1, 0, 0]) : cross(normal, [0, 1, 0]);
+        const e1 = scale(u, 1 / Math.sqrt(dot(u, u)));
+        const e2 = cross(normal, e1);
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = 2 * Math.PI * i / segments;
+            points.push(add(center, add(scale(e1, radius * Math.cos(t)), scale(e2, radius * Math.sin(t)))));
+        }
+        return points;
+    }
+
+    // Points along the arc of the angle at `vertex` from the direction to a
+    // to the direction to c, empty for straight or zero angles
+    function arcPoints(a, vertex, c, radius, segments = 24) {
+        const u = sub(a, vertex);
+        const w = sub(c, vertex);
+        const e1 = scale(u, 1 / Math.sqrt(dot(u, u)));
+        const e2 = scale(w, 1 / Math.sqrt(dot(w, w)));
+        const theta = Math.acos(Math.max(-1, Math.min(1, dot(e1, e2))));
+        const sine = Math.sin(theta);
+        if (sine < 1e-6) return [];
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const direction = add(scale(e1, Math.sin((1 - t) * theta) / sine), scale(e2, Math.sin(t * theta) / sine));
+            points.push(add(vertex, scale(direction, radius)));
+        }
+        return points;
+    }
+
+    // { min, max, size } of points, null without any
+    function boundingBox(points) {
+        if (points.length === 0) return null;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        points.forEach(p => {
+            for (let k = 0; k < 3; k++) {
+                const value = p[k] || 0;
+                if (value < min[k]) min[k] = value;
+                if (value > max[k]) max[k] = value;
+            }
+        });
+        return { min, max, size: sub(max, min) };
+    }
+
+    return {
+        UNITS,
+        distance,
+        angle,
+        circleThrough,
+        circlePoints,
+        arcPoints,
+        boundingBox
+    };
+})();
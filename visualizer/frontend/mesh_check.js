@@ -0,0 +1,137 @@
+// Mesh integrity diagnostics.
+//
+// Runs on the mesh data sent by the backend (or produced by abaqus_reader.js):
+// coincident nodes, nodes not used by any element, inverted and degenerate
+// elements (from the metrics of mesh_quality.js) and free edges of the
+// boundary surface.
+
+const MeshCheck = (function () {
+
+    const VOLUME_TYPES = new Set(['Tet4', 'Tet10', 'Hex8', 'Hex20', 'Wedge6', 'Wedge15']);
+
+    // Groups of node indices closer than tolerance to each other, found by
+    // hashing the nodes into a grid with cells of the tolerance size
+    function duplicateNodes(nodes, tolerance) {
+        const grid = new Map();
+        const cellOf = node => [0, 1, 2].map(k => Math.floor((node[k] || 0) / tolerance));
+        nodes.forEach((node, idx) => {
+            const key = cellOf(node).join(',');
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(idx);
+        });
+
+        // Union-find over the pairs found in neighbouring grid cells
+        const parent = new Int32Array(nodes.length).map((_, i) => i);
+        const find = i => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const tolerance2 = tolerance * tolerance;
+        nodes.forEach((node, idx) => {
+            const [cx, cy, cz] = cellOf(node);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(other => {
+                            if (other <= idx) return;
+                            const p = nodes[other];
+                            const d2 = (p[0] - node[0]) ** 2 + (p[1] - node[1]) ** 2 + ((p[2] || 0) - (node[2] || 0)) ** 2;
+                            if (d2 <= tolerance2) {
+                                parent[find(other)] = find(idx);
+                            }
+                        });
+                    }
+                }
+            }
+        });
+
+        const groups = new Map();
+        nodes.forEach((_, idx) => {
+            const root = find(idx);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(idx);
+        });
+        return Array.from(groups.values()).filter(group => group.length > 1);
+    }
+
+    // Node indices not referenced by any element
+    function orphanNodes(numNodes, cellConnectivity) {
+        const used = new Uint8Array(numNodes);
+        cellConnectivity.forEach(connectivity => connectivity.forEach(idx => {
+            used[idx] = 1;
+        }));
+        const orphans = [];
+        used.forEach((flag, idx) => {
+            if (!flag) orphans.push(idx);
+        });
+        return orphans;
+    }
+
+    // Edges of the boundary faces used by only one face: boundaries of shell
+    // regions and cracks where neighbouring elements don't share nodes.
+    // Faces are the surface faces of mesh_to_json, quadratic faces list
+    // their corners first.
+    function freeEdges(faces, faceTypes) {
+        const count = new Map();
+        faces.forEach((face, idx) => {
+            const type = faceTypes[idx];
+            const n = type === 'Tri6' ? 3 : type === 'Quad8' ? 4 : face.length;
+            for (let i = 0; i < n; i++) {
+                const a = face[i], b = face[(i + 1) % n];
+                const key = a < b ? `${a},${b}` : `${b},${a}`;
+                count.set(key, (count.get(key) || 0) + 1);
+            }
+        });
+        const edges = [];
+        count.forEach((uses, key) => {
+            if (uses === 1) edges.push(key.split(',').map(Number));
+        });
+        return edges;
+    }
+
+    // Cell indices of inverted (negative Jacobian or volume) and degenerate
+    // (zero volume or area) elements from MeshQuality.computeMetrics
+    function badCells(cellTypes, metrics, tolerance = 1e-6) {
+        const inverted = [];
+        const degenerate = [];
+        cellTypes.forEach((type, cell) => {
+            const jacobian = metrics.scaled_jacobian[cell];
+            const volume = metrics.volume[cell];
+            if (!Number.isFinite(jacobian)) {
+                // Metrics of a measurable element are undefined when corners coincide
+                if (!Number.isNaN(volume)) degenerate.push(cell);
+                return;
+            }
+            if (Math.abs(jacobian) < tolerance || volume === 0) {
+                degenerate.push(cell);
+            } else if (jacobian < 0 || (VOLUME_TYPES.has(type) && volume < 0)) {
+                inverted.push(cell);
+            }
+        });
+        return { inverted, degenerate };
+    }
+
+    // Run all checks, tolerance is the distance of coincident nodes
+    function checkMesh(data, metrics, tolerance) {
+        const cells = data.cells;
+        const { inverted, degenerate } = badCells(cells.types, metrics);
+        return {
+            duplicateNodes: duplicateNodes(data.nodes, tolerance),
+            orphanNodes: orphanNodes(data.nodes.length, cells.connectivity),
+            invertedCells: inverted,
+            degenerateCells: degenerate,
+            freeEdges: freeEdges(data.elements, data.element_types)
+        };
+    }
+
+    return {
+        duplicateNodes,
+        orphanNodes,
+        freeEdges,
+        badCells,
+        checkMesh
+    };
+})();
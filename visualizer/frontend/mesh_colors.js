@@ -0,0 +1,157 @@
+// Categorical element colors for "Color by".
+//
+// Assigns every cell of the mesh data (see mesh_to_json) a category: its
+// part, element set, section, material, ABAQUS element code or topological
+// type. Sections and materials come from the model data of the backend.
+
+const MeshColors = (function () {
+
+    const MODES = [
+        { key: 'uniform', label: 'Uniform' },
+        { key: 'part', label: 'Part' },
+        { key: 'elset', label: 'Element set' },
+        { key: 'section', label: 'Section' },
+        { key: 'material', label: 'Material' },
+        { key: 'code', label: 'ABAQUS element type' },
+        { key: 'type', label: 'Topological type' }
+    ];
+
+    // Julia purple, green, blue and red first
+    const PALETTE = [0x9558B2, 0x389826, 0x4063D8, 0xCB3C33];
+
+    // Color of cells without a category
+    const NONE_COLOR = [0.6, 0.6, 0.6];
+
+    // RGB color of category i: the palette, then hues spread by the golden angle
+    function categoryColor(i) {
+        if (i < PALETTE.length) {
+            const hex = PALETTE[i];
+            return [(hex >> 16 & 255) / 255, (hex >> 8 & 255) / 255, (hex & 255) / 255];
+        }
+        const hue = ((i - PALETTE.length) * 137.508 + 30) % 360;
+        return hslToRgb(hue / 360, 0.55, 0.5);
+    }
+
+    function hslToRgb(h, s, l) {
+        const a = s * Math.min(l, 1 - l);
+        const f = n => {
+            const k = (n + h * 12) % 12;
+            return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return [f(0), f(8), f(4)];
+    }
+
+    // Modes that have data for this mesh
+    function availableModes(data) {
+        const sections = (data.model && data.model.properties) || [];
+        return MODES.filter(mode => {
+            switch (mode.key) {
+                case 'part': return Boolean(data.part_elements) && Object.keys(data.part_elements).length > 0;
+                case 'elset': return Object.keys(data.element_sets || {}).length > 0;
+                case 'section': return sections.length > 0;
+                case 'material': return sections.some(section => section.material);
+                default: return true;
+            }
+        });
+    }
+
+    // Categories of cells from named groups of element ids: { name: [id, ...] }.
+    // An element in several groups gets the smallest of them, the most
+    // specific one.
+    function groupCategories(cellIndexById, numCells, groups) {
+        const entries = Object.entries(groups)
+            .sort(([nameA, idsA], [nameB, idsB]) => idsA.length - idsB.length || (nameA < nameB ? -1 : 1));
+        const categories = new Int32Array(numCells).fill(-1);
+        const names = [];
+        entries.forEach(([name, ids]) => {
+            let index = -1;
+            ids.forEach(id => {
+                const cell = cellIndexById.get(id);
+                if (cell === undefined || categories[cell] !== -1) return;
+                if (index === -1) {
+                    index = names.length;
+                    names.push(name);
+                }
+                categories[cell] = index;
+            });
+        });
+        return { categories, names };
+    }
+
+    // Categories of cells from a name per cell
+    function nameCategories(cellNames) {
+        const categories = new Int32Array(cellNames.length);
+        const indexByName = new Map();
+        Array.from(cellNames).forEach((name, cell) => {
+            if (!indexByName.has(name)) {
+                indexByName.set(name, indexByName.size);
+            }
+            categories[cell] = indexByName.get(name);
+        });
+        return { categories, names: Array.from(indexByName.keys()) };
+    }
+
+    // Element ids per section (named by its element set) or per material
+    function sectionGroups(data, byMaterial) {
+        const groups = {};
+        ((data.model && data.model.properties) || []).forEach(section => {
+            const ids = data.element_sets[section.element_set];
+            const name = byMaterial ? section.material : section.element_set;
+            if (!ids || !name) return;
+            groups[name] = (groups[name] || []).concat(ids);
+        });
+        return groups;
+    }
+
+    // { categories: Int32Array of the category of each cell (-1 for none),
+    //   legend: [{ name, color, count }] } of a mode, null for 'uniform'
+    function categorize(data, mode, cellIndexById) {
+        const numCells = data.cells.ids.length;
+        let result;
+        switch (mode) {
+            case 'part':
+                result = groupCategories(cellIndexById, numCells, data.part_elements || {});
+                break;
+            case 'elset':
+                result = groupCategories(cellIndexById, numCells, data.element_sets || {});
+                break;
+            case 'section':
+                result = groupCategories(cellIndexById, numCells, sectionGroups(data, false));
+                break;
+            case 'material':
+                result = groupCategories(cellIndexById, numCells, sectionGroups(data, true));
+                break;
+            case 'code':
+                result = nameCategories(data.cells.codes);
+                break;
+            case 'type':
+                result = nameCategories(data.cells.types);
+                break;
+            default:
+                return null;
+        }
+
+        const counts = new Array(result.names.length).fill(0);
+        let uncategorized = 0;
+        result.categories.forEach(category => {
+            if (category === -1) {
+                uncategorized++;
+            } else {
+                counts[category]++;
+            }
+        });
+        const legend = result.names.map((name, i) => ({ name, color: categoryColor(i), count: counts[i] }));
+        if (uncategorized > 0) {
+            legend.push({ name: '(none)', color: NONE_COLOR, count: uncategorized });
+        }
+        return { categories: result.categories, legend };
+    }
+
+    return {
+        MODES,
+        NONE_COLOR,
+        categoryColor,
+        availableModes,
+        categorize
+    };
+})();
@@ -0,0 +1,552 @@
+// Geometry builders for the visualizer.
+//
+// Pure functions producing plain/typed arrays from the mesh data sent by the
+// backend (or produced by abaqus_reader.js), so that app.js only has to wrap
+// the results into Three.js objects.
+
+const MeshGeometry = (function () {
+
+    // ABAQUS default n1 direction for beams in space
+    const DEFAULT_BEAM_DIRECTION = [0, 0, -1];
+
+    // Edges between the corner nodes of volume elements (1-based local
+    // nodes), quadratic elements are sliced through their corners
+    const TET_EDGES = [[1, 2], [2, 3], [3, 1], [1, 4], [2, 4], [3, 4]];
+    const HEX_EDGES = [
+        [1, 2], [2, 3], [3, 4], [4, 1], [5, 6], [6, 7],
+        [7, 8], [8, 5], [1, 5], [2, 6], [3, 7], [4, 8]
+    ];
+    const WEDGE_EDGES = [[1, 2], [2, 3], [3, 1], [4, 5], [5, 6], [6, 4], [1, 4], [2, 5], [3, 6]];
+    const VOLUME_EDGES = {
+        Tet4: TET_EDGES, Tet10: TET_EDGES,
+        Hex8: HEX_EDGES, Hex20: HEX_EDGES,
+        Wedge6: WEDGE_EDGES, Wedge15: WEDGE_EDGES
+    };
+
+    function circleOutline(radius, segments = 12) {
+        const outline = [];
+        for (let i = 0; i < segments; i++) {
+            const phi = 2 * Math.PI * i / segments;
+            outline.push([radius * Math.cos(phi), radius * Math.sin(phi)]);
+        }
+        return outline;
+    }
+
+    function rectangleOutline(a, b) {
+        return [[-a / 2, -b / 2], [a / 2, -b / 2], [a / 2, b / 2], [-a / 2, b / 2]];
+    }
+
+    // Cross-section outline in the local (n1, n2) plane of a section property
+    // as serialized by model_to_json, or null if the shape can't be drawn
+    function sectionOutline(section) {
+        if (section.type === 'SolidSection' && section.area > 0) {
+            // Truss: draw a circle with the same area
+            return circleOutline(Math.sqrt(section.area / Math.PI));
+        }
+        if (section.type !== 'BeamSection') {
+            return null;
+        }
+
+        const d = section.dimensions || [];
+        switch (section.section) {
+            case 'CIRC':
+            case 'PIPE':
+                return d[0] > 0 ? circleOutline(d[0]) : null;
+            case 'RECT':
+            case 'BOX':
+                return d[0] > 0 && d[1] > 0 ? rectangleOutline(d[0], d[1]) : null;
+            case 'I': {
+                // l, h, b1, b2, t1, t2, t3 (l = offset of the origin from the bottom)
+                const [l, h, b1, b2, t1, t2, t3] = d;
+                if (!(h > 0 && b1 > 0 && b2 > 0 && t1 > 0 && t2 > 0 && t3 > 0)) {
+                    return null;
+                }
+                const y0 = -l, y1 = h - l;
+                return [
+                    [-b1 / 2, y0], [b1 / 2, y0], [b1 / 2, y0 + t1], [t3 / 2, y0 + t1],
+                    [t3 / 2, y1 - t2], [b2 / 2, y1 - t2], [b2 / 2, y1], [-b2 / 2, y1],
+                    [-b2 / 2, y1 - t2], [-t3 / 2, y1 - t2], [-t3 / 2, y0 + t1], [-b1 / 2, y0 + t1]
+                ];
+            }
+            default:
+                return null;
+        }
+    }
+
+    function sub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+    function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+    function normalize(a) {
+        const len = Math.sqrt(dot(a, a));
+        return len > 0 ? [a[0] / len, a[1] / len, a[2] / len] : a;
+    }
+
+    // Local beam axes (n1, n2) for a segment with unit tangent t
+    function beamAxes(t, direction) {
+        let n1 = direction || DEFAULT_BEAM_DIRECTION;
+        const proj = dot(n1, t);
+        n1 = sub(n1, [proj * t[0], proj * t[1], proj * t[2]]);
+        if (dot(n1, n1) < 1e-12) {
+            // Beam is parallel to n1, pick any perpendicular direction
+            n1 = Math.abs(t[0]) < 0.9 ? cross(t, [1, 0, 0]) : cross(t, [0, 1, 0]);
+        }
+        n1 = normalize(n1);
+        return [n1, cross(t, n1)];
+    }
+
+    function point3(node) {
+        return [node[0], node[1], node[2] || 0];
+    }
+
+    // Quadratic shape functions of the 6-node triangle at (r, s),
+    // node order: 3 corners, then midside nodes 1-2, 2-3, 3-1
+    function tri6ShapeFunctions(r, s) {
+        const l1 = 1 - r - s, l2 = r, l3 = s;
+        return [
+            l1 * (2 * l1 - 1), l2 * (2 * l2 - 1), l3 * (2 * l3 - 1),
+            4 * l1 * l2, 4 * l2 * l3, 4 * l3 * l1
+        ];
+    }
+
+    // Serendipity shape functions of the 8-node quadrilateral at (xi, eta),
+    // node order: 4 corners, then midside nodes 1-2, 2-3, 3-4, 4-1
+    function quad8ShapeFunctions(xi, eta) {
+        const corner = (xi0, eta0) =>
+            0.25 * (1 + xi * xi0) * (1 + eta * eta0) * (xi * xi0 + eta * eta0 - 1);
+        return [
+            corner(-1, -1), corner(1, -1), corner(1, 1), corner(-1, 1),
+            0.5 * (1 - xi * xi) * (1 - eta), 0.5 * (1 + xi) * (1 - eta * eta),
+            0.5 * (1 - xi * xi) * (1 + eta), 0.5 * (1 - xi) * (1 - eta * eta)
+        ];
+    }
+
+    // Point on the curved edge a-b with midside node m at t in [0, 1]
+    function quadraticEdgePoint(a, m, b, t) {
+        const na = (1 - t) * (1 - 2 * t), nm = 4 * t * (1 - t), nb = t * (2 * t - 1);
+        return [0, 1, 2].map(k => na * a[k] + nm * m[k] + nb * b[k]);
+    }
+
+    // Face types of the flat face arrays, other polygons are 0
+    const FACE_TYPE_CODES = { Tri3: 1, Quad4: 2, Tri6: 3, Quad8: 4 };
+    const TRI6 = FACE_TYPE_CODES.Tri6;
+    const QUAD8 = FACE_TYPE_CODES.Quad8;
+
+    // Face types by number of face nodes (quadratic faces list corners first)
+    const FACE_TYPE_BY_SIZE = { 3: 'Tri3', 4: 'Quad4', 6: 'Tri6', 8: 'Quad8' };
+
+    // Node coordinates as a flat Float64Array of x, y, z
+    function flattenNodes(nodes) {
+        const coords = new Float64Array(nodes.length * 3);
+        nodes.forEach((node, idx) => {
+            coords[idx * 3] = node[0];
+            coords[idx * 3 + 1] = node[1];
+            coords[idx * 3 + 2] = node[2] || 0;
+        });
+        return coords;
+    }
+
+    // Faces as flat typed arrays: { nodes, offsets, types } with the node
+    // indices of face f in nodes[offsets[f]..offsets[f + 1]) and its type code
+    function flattenFaces(faces, faceTypes) {
+        const offsets = new Uint32Array(faces.length + 1);
+        faces.forEach((face, idx) => {
+            offsets[idx + 1] = offsets[idx] + face.length;
+        });
+        const nodes = new Uint32Array(offsets[faces.length]);
+        const types = new Uint8Array(faces.length);
+        faces.forEach((face, idx) => {
+            nodes.set(face, offsets[idx]);
+            types[idx] = FACE_TYPE_CODES[faceTypes[idx]] || 0;
+        });
+        return { nodes, offsets, types };
+    }
+
+    // { min, max } corners of the box around flat coordinates
+    function boundingBox(coords) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < coords.length; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                const value = coords[i + k];
+                if (value < min[k]) min[k] = value;
+                if (value > max[k]) max[k] = value;
+            }
+        }
+        return { min, max };
+    }
+
+    // Triangulate surface faces for display, from flat typed arrays (see
+    // flattenNodes and flattenFaces) so that it can run in a Web Worker.
+    //
+    // Linear faces (Tri3, Quad4, polygons) index the node positions directly.
+    // Quadratic faces (Tri6, Quad8) are evaluated with their shape functions
+    // on a grid of `subdivisions` x `subdivisions` cells, appending the new
+    // vertices after the nodes, so that curved boundaries are displayed
+    // faithfully. Edges are deduplicated between faces by integer keys and
+    // curved likewise. onProgress(fraction) is called as faces are done.
+    //
+    // Returns typed arrays { positions, triangles, edges, triangleFaces }
+    // where triangles and edges index into positions and triangleFaces[t] is
+    // the index of the face that triangle t belongs to (for picking).
+    function triangulateSurface(coords, faces, subdivisions = 1, onProgress = null) {
+        const numNodes = coords.length / 3;
+        const numFaces = faces.types.length;
+        const n = Math.max(1, Math.round(subdivisions));
+        const cornerCount = f => {
+            const type = faces.types[f];
+            return type === TRI6 ? 3 : type === QUAD8 ? 4 : faces.offsets[f + 1] - faces.offsets[f];
+        };
+        const isQuadratic = f => n > 1 && (faces.types[f] === TRI6 || faces.types[f] === QUAD8);
+
+        // Output sizes, edges and their vertices counted before deduplication
+        let maxVertices = numNodes;
+        let numTriangles = 0;
+        let maxEdges = 0;
+        for (let f = 0; f < numFaces; f++) {
+            const numCorners = cornerCount(f);
+            if (!isQuadratic(f)) {
+                numTriangles += Math.max(0, numCorners - 2);
+                maxEdges += numCorners;
+            } else if (faces.types[f] === TRI6) {
+                maxVertices += (n + 1) * (n + 2) / 2 + 3 * (n - 1);
+                numTriangles += n * n;
+                maxEdges += 3 * n;
+            } else {
+                maxVertices += (n + 1) * (n + 1) + 4 * (n - 1);
+                numTriangles += 2 * n * n;
+                maxEdges += 4 * n;
+            }
+        }
+
+        const positions = new Float32Array(maxVertices * 3);
+        positions.set(coords);
+        const triangles = new Uint32Array(numTriangles * 3);
+        const triangleFaces = new Uint32Array(numTriangles);
+        const edges = new Uint32Array(maxEdges * 2);
+        const edgeKeys = new Set();
+        let numVertices = numNodes;
+        let t = 0;
+        let e = 0;
+
+        const point = idx => [coords[idx * 3], coords[idx * 3 + 1], coords[idx * 3 + 2]];
+        const addVertex = p => {
+            positions.set(p, numVertices * 3);
+            return numVertices++;
+        };
+        const addTriangle = (a, b, c, f) => {
+            triangles[t * 3] = a;
+            triangles[t * 3 + 1] = b;
+            triangles[t * 3 + 2] = c;
+            triangleFaces[t++] = f;
+        };
+        const addEdge = (a, b) => {
+            edges[e++] = a;
+            edges[e++] = b;
+        };
+        const progressStep = Math.max(1, Math.ceil(numFaces / 100));
+
+        for (let f = 0; f < numFaces; f++) {
+            const base = faces.offsets[f];
+            const node = i => faces.nodes[base + i];
+            const numCorners = cornerCount(f);
+            const quadratic = isQuadratic(f);
+            const interpolate = weights => {
+                const p = [0, 0, 0];
+                weights.forEach((w, i) => {
+                    const idx = node(i) * 3;
+                    p[0] += w * coords[idx];
+                    p[1] += w * coords[idx + 1];
+                    p[2] += w * coords[idx + 2];
+                });
+                return p;
+            };
+
+            if (!quadratic) {
+                // Fan triangulation over the corner nodes
+                for (let i = 1; i < numCorners - 1; i++) {
+                    addTriangle(node(0), node(i), node(i + 1), f);
+                }
+            } else if (faces.types[f] === TRI6) {
+                const grid = [];
+                for (let i = 0; i <= n; i++) {
+                    grid.push([]);
+                    for (let j = 0; j <= n - i; j++) {
+                        grid[i].push(addVertex(interpolate(tri6ShapeFunctions(i / n, j / n))));
+                    }
+                }
+                for (let i = 0; i < n; i++) {
+                    for (let j = 0; j < n - i; j++) {
+                        addTriangle(grid[i][j], grid[i + 1][j], grid[i][j + 1], f);
+                        if (j < n - i - 1) {
+                            addTriangle(grid[i + 1][j], grid[i + 1][j + 1], grid[i][j + 1], f);
+                        }
+                    }
+                }
+            } else {
+                const grid = [];
+                for (let i = 0; i <= n; i++) {
+                    grid.push([]);
+                    for (let j = 0; j <= n; j++) {
+                        const xi = -1 + 2 * i / n, eta = -1 + 2 * j / n;
+                        grid[i].push(addVertex(interpolate(quad8ShapeFunctions(xi, eta))));
+                    }
+                }
+                for (let i = 0; i < n; i++) {
+                    for (let j = 0; j < n; j++) {
+                        addTriangle(grid[i][j], grid[i + 1][j], grid[i + 1][j + 1], f);
+                        addTriangle(grid[i][j], grid[i + 1][j + 1], grid[i][j + 1], f);
+                    }
+                }
+            }
+
+            // Edges between consecutive corners, curved through the midside node
+            for (let i = 0; i < numCorners; i++) {
+                const v1 = node(i);
+                const v2 = node((i + 1) % numCorners);
+                const key = v1 < v2 ? v1 * numNodes + v2 : v2 * numNodes + v1;
+                if (edgeKeys.has(key)) {
+                    continue;
+                }
+                edgeKeys.add(key);
+                if (!quadratic) {
+                    addEdge(v1, v2);
+                    continue;
+                }
+                const a = point(v1), m = point(node(numCorners + i)), b = point(v2);
+                let previous = v1;
+                for (let k = 1; k < n; k++) {
+                    const current = addVertex(quadraticEdgePoint(a, m, b, k / n));
+                    addEdge(previous, current);
+                    previous = current;
+                }
+                addEdge(previous, v2);
+            }
+
+            if (onProgress && ((f + 1) % progressStep === 0 || f + 1 === numFaces)) {
+                onProgress((f + 1) / numFaces);
+            }
+        }
+
+        return {
+            positions: numVertices === maxVertices ? positions : positions.slice(0, numVertices * 3),
+            triangles,
+            edges: e === edges.length ? edges : edges.slice(0, e),
+            triangleFaces
+        };
+    }
+
+    // triangulateSurface of faces given as arrays of node indices and types
+    function buildSurface(nodes, faces, faceTypes, subdivisions = 1) {
+        return triangulateSurface(flattenNodes(nodes), flattenFaces(faces, faceTypes), subdivisions);
+    }
+
+    // Faces of all elements, interior ones too, each element on its own
+    // copy of its nodes scaled by `factor` towards its centroid (the mean of
+    // its nodes), so that the individual elements can be told apart.
+    // elementFaces(type) gives the local (1-based) nodes of the faces of an
+    // element type, see AbaqusReader.elementFaces. Returns the result of
+    // triangulateSurface with triangleCells[t], the cell of triangle t.
+    function buildShrunkElements(nodes, cellTypes, cellConnectivity, elementFaces, factor, subdivisions = 1) {
+        const offsets = new Uint32Array(cellConnectivity.length + 1);
+        cellConnectivity.forEach((connectivity, cell) => {
+            offsets[cell + 1] = offsets[cell] + connectivity.length;
+        });
+
+        const coords = new Float64Array(offsets[cellConnectivity.length] * 3);
+        const faces = [];
+        const faceTypes = [];
+        const faceCells = [];
+        cellConnectivity.forEach((connectivity, cell) => {
+            const cellFaces = elementFaces(cellTypes[cell]);
+            if (cellFaces.length === 0) return;
+
+            const points = Array.from(connectivity, idx => point3(nodes[idx]));
+            const center = [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+            points.forEach((p, i) => {
+                for (let k = 0; k < 3; k++) {
+                    coords[(offsets[cell] + i) * 3 + k] = center[k] + factor * (p[k] - center[k]);
+                }
+            });
+            cellFaces.forEach(local => {
+                faces.push(local.map(i => offsets[cell] + i - 1));
+                faceTypes.push(FACE_TYPE_BY_SIZE[local.length]);
+                faceCells.push(cell);
+            });
+        });
+
+        const surface = triangulateSurface(coords, flattenFaces(faces, faceTypes), subdivisions);
+        surface.triangleCells = Uint32Array.from(surface.triangleFaces, face => faceCells[face]);
+        return surface;
+    }
+
+    // Normal vectors of faces as line segments of the given length starting
+    // at the face centers (Newell's method over the corner nodes).
+    // Returns non-indexed line segment positions.
+    function buildFaceNormals(nodes, faces, faceTypes, length) {
+        const positions = [];
+        faces.forEach((face, idx) => {
+            const faceType = faceTypes[idx];
+            const numCorners = faceType === 'Tri6' ? 3 : faceType === 'Quad8' ? 4 : face.length;
+            const corners = face.slice(0, numCorners).map(nid => point3(nodes[nid]));
+            const center = [0, 0, 0];
+            let normal = [0, 0, 0];
+            corners.forEach((a, i) => {
+                const b = corners[(i + 1) % numCorners];
+                normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+                normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+                normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+                for (let k = 0; k < 3; k++) {
+                    center[k] += a[k] / numCorners;
+                }
+            });
+            normal = normalize(normal);
+            positions.push(...center,
+                center[0] + length * normal[0], center[1] + length * normal[1], center[2] + length * normal[2]);
+        });
+        return new Float32Array(positions);
+    }
+
+    // Cut volume elements with the plane normal . x + constant = 0.
+    //
+    // The intersection of each element with the plane is a convex polygon
+    // through the points where the plane crosses the element edges, so that
+    // the cut shows the individual elements. Returns { positions, edges,
+    // triangleCells } with non-indexed triangles filling the polygons, line
+    // segments along their outlines and the cell index of each triangle.
+    function buildSection(nodes, cellTypes, cellConnectivity, normal, constant) {
+        const positions = [];
+        const edges = [];
+        const triangleCells = [];
+        const n = normalize(normal);
+        // In-plane axes for ordering the polygon vertices
+        const u = normalize(Math.abs(n[0]) < 0.9 ? cross(n, [1, 0, 0]) : cross(n, [0, 1, 0]));
+        const v = cross(n, u);
+
+        cellConnectivity.forEach((connectivity, cell) => {
+            const cellEdges = VOLUME_EDGES[cellTypes[cell]];
+            if (!cellEdges) return;
+
+            const points = [];
+            cellEdges.forEach(([i, j]) => {
+                const a = point3(nodes[connectivity[i - 1]]);
+                const b = point3(nodes[connectivity[j - 1]]);
+                const da = dot(normal, a) + constant;
+                const db = dot(normal, b) + constant;
+                if ((da < 0) === (db < 0)) return;
+                const t = da / (da - db);
+                const p = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1]), a[2] + t * (b[2] - a[2])];
+                // The plane going through a node crosses several edges at the same point
+                if (!points.some(q => Math.abs(q[0] - p[0]) + Math.abs(q[1] - p[1]) + Math.abs(q[2] - p[2]) < 1e-12)) {
+                    points.push(p);
+                }
+            });
+            if (points.length < 3) return;
+
+            const center = [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+            const angle = p => {
+                const d = sub(p, center);
+                return Math.atan2(dot(d, v), dot(d, u));
+            };
+            points.sort((p, q) => angle(p) - angle(q));
+
+            for (let k = 1; k < points.length - 1; k++) {
+                positions.push(...points[0], ...points[k], ...points[k + 1]);
+                triangleCells.push(cell);
+            }
+            points.forEach((p, k) => edges.push(...p, ...points[(k + 1) % points.length]));
+        });
+
+        return {
+            positions: new Float32Array(positions),
+            edges: new Float32Array(edges),
+            triangleCells
+        };
+    }
+
+    // Clip non-indexed triangles (9 numbers each) with planes given as
+    // { normal, constant }, keeping the side where normal . x + constant >= 0
+    // like Three.js clipping planes do. Points within `tolerance` of a plane
+    // are kept, so that faces lying on the plane survive. Triangles crossing
+    // a plane are cut and re-triangulated. Returns a Float32Array.
+    function clipTriangles(positions, planes, tolerance = 0) {
+        const result = [];
+        for (let t = 0; t < positions.length; t += 9) {
+            let polygon = [0, 3, 6].map(k => [positions[t + k], positions[t + k + 1], positions[t + k + 2]]);
+            for (const plane of planes) {
+                const distance = p => dot(plane.normal, p) + plane.constant + tolerance;
+                const clipped = [];
+                polygon.forEach((a, i) => {
+                    const b = polygon[(i + 1) % polygon.length];
+                    const da = distance(a), db = distance(b);
+                    if (da >= 0) clipped.push(a);
+                    if ((da >= 0) !== (db >= 0)) {
+                        const s = da / (da - db);
+                        clipped.push([a[0] + s * (b[0] - a[0]), a[1] + s * (b[1] - a[1]), a[2] + s * (b[2] - a[2])]);
+                    }
+                });
+                polygon = clipped;
+                if (polygon.length < 3) break;
+            }
+            for (let k = 1; k < polygon.length - 1; k++) {
+                result.push(...polygon[0], ...polygon[k], ...polygon[k + 1]);
+            }
+        }
+        return new Float32Array(result);
+    }
+
+    // Extrude cross-section outlines along line elements.
+    // outlines[i] and directions[i] belong to lines[i]; lines without an
+    // outline are skipped. Returns { positions, triangleLines }: non-indexed
+    // triangle positions and the line of each triangle.
+    function buildBeamProfiles(nodes, lines, outlines, directions) {
+        const positions = [];
+        const triangleLines = [];
+
+        lines.forEach((line, idx) => {
+            const outline = outlines[idx];
+            if (!outline) {
+                return;
+            }
+            for (let s = 0; s < line.length - 1; s++) {
+                const p0 = point3(nodes[line[s]]);
+                const p1 = point3(nodes[line[s + 1]]);
+                const axis = sub(p1, p0);
+                if (dot(axis, axis) === 0) {
+                    continue;
+                }
+                const [n1, n2] = beamAxes(normalize(axis), directions[idx]);
+                const ring = (p, [u, v]) => [
+                    p[0] + u * n1[0] + v * n2[0],
+                    p[1] + u * n1[1] + v * n2[1],
+                    p[2] + u * n1[2] + v * n2[2]
+                ];
+                for (let k = 0; k < outline.length; k++) {
+                    const a = outline[k];
+                    const b = outline[(k + 1) % outline.length];
+                    const a0 = ring(p0, a), b0 = ring(p0, b);
+                    const a1 = ring(p1, a), b1 = ring(p1, b);
+                    positions.push(...a0, ...b0, ...b1, ...a0, ...b1, ...a1);
+                    triangleLines.push(idx, idx);
+                }
+            }
+        });
+
+        return { positions: new Float32Array(positions), triangleLines };
+    }
+
+    return {
+        flattenNodes,
+        flattenFaces,
+        boundingBox,
+        triangulateSurface,
+        sectionOutline,
+        buildBeamProfiles,
+        buildSurface,
+        buildFaceNormals,
+        buildSection,
+        buildShrunkElements,
+        clipTriangles
+    };
+})();
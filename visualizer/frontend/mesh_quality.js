@@ -0,0 +1,302 @@
+// Element quality metrics.
+//
+// Metrics are evaluated from the corner nodes of each element, so quadratic
+// elements are measured by their linear counterpart. Elements a metric is not
+// defined for (beams, trusses, points) get NaN.
+
+const MeshQuality = (function () {
+
+    const METRICS = [
+        // worst: which end of the range is bad
+        { key: 'aspect_ratio', label: 'Aspect ratio', worst: 'high' },
+        { key: 'scaled_jacobian', label: 'Scaled Jacobian', worst: 'low' },
+        { key: 'skewness', label: 'Skewness', worst: 'high' },
+        { key: 'min_dihedral', label: 'Min dihedral angle (°)', worst: 'low' },
+        { key: 'max_dihedral', label: 'Max dihedral angle (°)', worst: 'high' },
+        { key: 'volume', label: 'Volume (area)', worst: 'low' }
+    ];
+
+    // Corner node topology of the linear shapes (0-based local nodes).
+    // Faces are oriented outwards, corners lists for each corner its three
+    // edge neighbours ordered so that the triple product is positive for a
+    // valid element (as in the Verdict library).
+    const SHAPES = {
+        tet: {
+            faces: [[0, 2, 1], [0, 1, 3], [1, 2, 3], [0, 3, 2]],
+            corners: [[1, 2, 3], [2, 0, 3], [0, 1, 3], [2, 1, 0]],
+            jacobianScale: Math.SQRT2
+        },
+        hex: {
+            faces: [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]],
+            corners: [
+                [1, 3, 4], [2, 0, 5], [3, 1, 6], [0, 2, 7],
+                [7, 5, 0], [4, 6, 1], [5, 7, 2], [6, 4, 3]
+            ],
+            jacobianScale: 1
+        },
+        wedge: {
+            faces: [[0, 2, 1], [3, 4, 5], [0, 1, 4, 3], [1, 2, 5, 4], [2, 0, 3, 5]],
+            corners: [[1, 2, 3], [2, 0, 4], [0, 1, 5], [5, 4, 0], [3, 5, 1], [4, 3, 2]],
+            jacobianScale: 2 / Math.sqrt(3)
+        },
+        tri: { faces: [[0, 1, 2]] },
+        quad: { faces: [[0, 1, 2, 3]] }
+    };
+
+    const SHAPE_OF_TYPE = {
+        Tet4: 'tet', Tet10: 'tet',
+        Hex8: 'hex', Hex20: 'hex',
+        Wedge6: 'wedge', Wedge15: 'wedge',
+        Tri3: 'tri', Tri6: 'tri',
+        Quad4: 'quad', Quad8: 'quad'
+    };
+
+    // Edges of each volume shape with the two faces sharing them
+    Object.values(SHAPES).forEach(shape => {
+        if (!shape.corners) return;
+        const edgeFaces = new Map();
+        shape.faces.forEach((face, f) => {
+            face.forEach((a, i) => {
+                const b = face[(i + 1) % face.length];
+                const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+                if (!edgeFaces.has(key)) edgeFaces.set(key, { edge: [a, b], faces: [] });
+                edgeFaces.get(key).faces.push(f);
+            });
+        });
+        shape.edges = Array.from(edgeFaces.values());
+    });
+
+    function sub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+    function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+    function norm(a) { return Math.sqrt(dot(a, a)); }
+    function angle(a, b) {
+        const c = dot(a, b) / (norm(a) * norm(b));
+        return Math.acos(Math.max(-1, Math.min(1, c)));
+    }
+
+    // Polygon normal by Newell's method (not normalized)
+    function polygonNormal(points) {
+        const n = [0, 0, 0];
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            n[0] += (a[1] - b[1]) * (a[2] + b[2]);
+            n[1] += (a[2] - b[2]) * (a[0] + b[0]);
+            n[2] += (a[0] - b[0]) * (a[1] + b[1]);
+        });
+        return n;
+    }
+
+    // Interior corner angles of a polygon
+    function cornerAngles(points) {
+        return points.map((p, i) => {
+            const prev = points[(i + points.length - 1) % points.length];
+            const next = points[(i + 1) % points.length];
+            return angle(sub(prev, p), sub(next, p));
+        });
+    }
+
+    // Volume of trilinear hexahedra and linear wedges by Gauss quadrature,
+    // which is exact for these shapes; tetrahedra from the triple product
+    const GAUSS = [-1 / Math.sqrt(3), 1 / Math.sqrt(3)];
+
+    function jacobianDeterminant(p, dN) {
+        // dN[i] = [dNi/dxi, dNi/deta, dNi/dzeta]
+        const J = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        dN.forEach((d, i) => {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    J[r][c] += d[r] * p[i][c];
+                }
+            }
+        });
+        return dot(J[0], cross(J[1], J[2]));
+    }
+
+    function hexVolume(p) {
+        const signs = [[-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1], [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]];
+        let volume = 0;
+        GAUSS.forEach(xi => GAUSS.forEach(eta => GAUSS.forEach(zeta => {
+            const dN = signs.map(([a, b, c]) => [
+                a * (1 + b * eta) * (1 + c * zeta) / 8,
+                b * (1 + a * xi) * (1 + c * zeta) / 8,
+                c * (1 + a * xi) * (1 + b * eta) / 8
+            ]);
+            volume += jacobianDeterminant(p, dN);
+        })));
+        return volume;
+    }
+
+    function wedgeVolume(p) {
+        // 3-point triangle rule (weights 1/6) times 2-point Gauss in zeta
+        const trianglePoints = [[1 / 6, 1 / 6], [2 / 3, 1 / 6], [1 / 6, 2 / 3]];
+        let volume = 0;
+        trianglePoints.forEach(([r, s]) => GAUSS.forEach(zeta => {
+            const l = [1 - r - s, r, s];
+            const dl = [[-1, -1], [1, 0], [0, 1]];
+            const dN = [];
+            [-1, 1].forEach(side => {
+                for (let i = 0; i < 3; i++) {
+                    const h = (1 + side * zeta) / 2;
+                    dN.push([dl[i][0] * h, dl[i][1] * h, l[i] * side / 2]);
+                }
+            });
+            volume += jacobianDeterminant(p, dN) / 6;
+        }));
+        return volume;
+    }
+
+    // Metrics of one element from its corner coordinates
+    function elementMetrics(shapeName, p) {
+        const shape = SHAPES[shapeName];
+        const result = {};
+
+        // Aspect ratio: longest over shortest edge
+        const faceEdges = [];
+        shape.faces.forEach(face => face.forEach((a, i) => faceEdges.push(norm(sub(p[face[(i + 1) % face.length]], p[a])))));
+        result.aspect_ratio = Math.max(...faceEdges) / Math.min(...faceEdges);
+
+        // Equiangle skewness over the corner angles of all faces
+        let skewness = 0;
+        const faceAngles = shape.faces.map(face => {
+            const angles = cornerAngles(face.map(i => p[i]));
+            const ideal = face.length === 3 ? Math.PI / 3 : Math.PI / 2;
+            angles.forEach(a => {
+                skewness = Math.max(skewness, (a - ideal) / (Math.PI - ideal), (ideal - a) / ideal);
+            });
+            return angles;
+        });
+        result.skewness = skewness;
+
+        if (shape.corners) {
+            // Scaled Jacobian: smallest normalized triple product at the corners
+            let scaledJacobian = Infinity;
+            shape.corners.forEach((neighbours, i) => {
+                const [a, b, c] = neighbours.map(j => sub(p[j], p[i]));
+                scaledJacobian = Math.min(scaledJacobian, dot(a, cross(b, c)) / (norm(a) * norm(b) * norm(c)));
+            });
+            result.scaled_jacobian = scaledJacobian * shape.jacobianScale;
+
+            // Dihedral angles between the two faces sharing each edge
+            const normals = shape.faces.map(face => polygonNormal(face.map(i => p[i])));
+            const dihedrals = shape.edges.map(({ faces }) => Math.PI - angle(normals[faces[0]], normals[faces[1]]));
+            result.min_dihedral = Math.min(...dihedrals) * 180 / Math.PI;
+            result.max_dihedral = Math.max(...dihedrals) * 180 / Math.PI;
+
+            if (shapeName === 'tet') {
+                result.volume = dot(sub(p[1], p[0]), cross(sub(p[2], p[0]), sub(p[3], p[0]))) / 6;
+            } else if (shapeName === 'hex') {
+                result.volume = hexVolume(p);
+            } else {
+                result.volume = wedgeVolume(p);
+            }
+        } else {
+            // Shells and 2D elements: corner angles take the place of
+            // dihedral angles and the area that of the volume
+            const normal = polygonNormal(p);
+            const n = norm(normal);
+            let scaledJacobian = Infinity;
+            p.forEach((corner, i) => {
+                const a = sub(p[(i + 1) % p.length], corner);
+                const b = sub(p[(i + p.length - 1) % p.length], corner);
+                scaledJacobian = Math.min(scaledJacobian, dot(cross(a, b), normal) / (n * norm(a) * norm(b)));
+            });
+            result.scaled_jacobian = scaledJacobian * (p.length === 3 ? 2 / Math.sqrt(3) : 1);
+            result.min_dihedral = Math.min(...faceAngles[0]) * 180 / Math.PI;
+            result.max_dihedral = Math.max(...faceAngles[0]) * 180 / Math.PI;
+            result.volume = p.length === 3
+                ? norm(cross(sub(p[1], p[0]), sub(p[2], p[0]))) / 2
+                : norm(cross(sub(p[2], p[0]), sub(p[3], p[1]))) / 2;
+        }
+
+        return result;
+    }
+
+    // Metrics of all cells, returns metric key -> Float64Array aligned with the cells
+    function computeMetrics(nodes, cellTypes, cellConnectivity) {
+        const count = cellTypes.length;
+        const metrics = {};
+        METRICS.forEach(({ key }) => {
+            metrics[key] = new Float64Array(count).fill(NaN);
+        });
+
+        for (let cell = 0; cell < count; cell++) {
+            const shapeName = SHAPE_OF_TYPE[cellTypes[cell]];
+            if (!shapeName) continue;
+            const numCorners = shapeName === 'tet' || shapeName === 'quad' ? 4
+                : shapeName === 'hex' ? 8 : shapeName === 'wedge' ? 6 : 3;
+            const p = Array.from(cellConnectivity[cell].slice(0, numCorners), idx => {
+                const node = nodes[idx];
+                return [node[0], node[1], node[2] || 0];
+            });
+            const values = elementMetrics(shapeName, p);
+            Object.keys(values).forEach(key => {
+                metrics[key][cell] = values[key];
+            });
+        }
+
+        return metrics;
+    }
+
+    // Histogram of the finite values in [min, max]
+    function histogram(values, min, max, bins = 20) {
+        const counts = new Array(bins).fill(0);
+        const width = (max - min) / bins;
+        values.forEach(value => {
+            if (!Number.isFinite(value) || value < min || value > max) return;
+            const bin = width > 0 ? Math.min(bins - 1, Math.floor((value - min) / width)) : 0;
+            counts[bin]++;
+        });
+        return counts;
+    }
+
+    // Indices of the n worst cells for a metric
+    function worstCells(values, worst, n) {
+        const indices = [];
+        values.forEach((value, idx) => {
+            if (Number.isFinite(value)) indices.push(idx);
+        });
+        indices.sort((a, b) => worst === 'high' ? values[b] - values[a] : values[a] - values[b]);
+        return indices.slice(0, n);
+    }
+
+    // Finite [min, max] of values
+    function range(values) {
+        let min = Infinity, max = -Infinity;
+        values.forEach(value => {
+            if (!Number.isFinite(value)) return;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        return min <= max ? [min, max] : [0, 0];
+    }
+
+    // Blue - cyan - green - yellow - red colormap, t in [0, 1] -> [r, g, b] in [0, 1]
+    const COLORMAP = [[0, 0, 1], [0, 1, 1], [0, 1, 0], [1, 1, 0], [1, 0, 0]];
+
+    function colormap(t) {
+        const x = Math.max(0, Math.min(1, t)) * (COLORMAP.length - 1);
+        const i = Math.min(COLORMAP.length - 2, Math.floor(x));
+        const f = x - i;
+        return [0, 1, 2].map(k => COLORMAP[i][k] * (1 - f) + COLORMAP[i + 1][k] * f);
+    }
+
+    // CSS gradient of the colormap for legends
+    function colormapGradient() {
+        const stops = COLORMAP.map(([r, g, b], i) =>
+            `rgb(${r * 255}, ${g * 255}, ${b * 255}) ${i * 100 / (COLORMAP.length - 1)}%`);
+        return `linear-gradient(90deg, ${stops.join(', ')})`;
+    }
+
+    return {
+        METRICS,
+        computeMetrics,
+        histogram,
+        worstCells,
+        range,
+        colormap,
+        colormapGradient
+    };
+})();
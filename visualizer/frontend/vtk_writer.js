@@ -0,0 +1,173 @@
+// VTK writers for ParaView.
+//
+// Writes the full mesh sent by the backend (or produced by abaqus_reader.js)
+// as an XML unstructured grid (.vtu) or a legacy .vtk file: all elements
+// with their complete connectivity, original ABAQUS node and element ids as
+// point and cell data, and node and element sets as 0/1 arrays.
+
+const VtkWriter = (function () {
+
+    // VTK cell types of the topological element types
+    const VTK_CELL_TYPES = {
+        Poi1: 1,
+        Seg2: 3,
+        Seg3: 21,
+        Tri3: 5,
+        Tri6: 22,
+        Quad4: 9,
+        Quad8: 23,
+        Tet4: 10,
+        Tet10: 24,
+        Hex8: 12,
+        Hex20: 25,
+        Wedge6: 13,
+        Wedge15: 26
+    };
+
+    // ABAQUS numbers the midside node of a 3-node beam second, VTK last.
+    // The other element types share the ABAQUS node order.
+    const NODE_ORDER = {
+        Seg3: [0, 2, 1]
+    };
+
+    function escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+        })[c]);
+    }
+
+    // Cells that can be written, with connectivity in VTK node order
+    function vtkCells(data) {
+        const cells = data.cells;
+        const result = { ids: [], types: [], connectivity: [] };
+        cells.ids.forEach((id, idx) => {
+            const type = cells.types[idx];
+            if (!VTK_CELL_TYPES[type]) return;
+            const connectivity = cells.connectivity[idx];
+            const order = NODE_ORDER[type];
+            result.ids.push(id);
+            result.types.push(VTK_CELL_TYPES[type]);
+            result.connectivity.push(order ? order.map(i => connectivity[i]) : connectivity);
+        });
+        return result;
+    }
+
+    // Name -> Uint8Array membership flags of the given sets
+    function setFlags(sets, ids) {
+        const index = new Map(Array.from(ids, (id, idx) => [id, idx]));
+        const flags = {};
+        Object.keys(sets).sort().forEach(name => {
+            const values = new Uint8Array(ids.length);
+            sets[name].forEach(id => {
+                const idx = index.get(id);
+                if (idx !== undefined) values[idx] = 1;
+            });
+            flags[name] = values;
+        });
+        return flags;
+    }
+
+    function point3(node) {
+        return [node[0], node[1], node[2] || 0];
+    }
+
+    // XML unstructured grid with ASCII data arrays
+    function writeVtu(data) {
+        const cells = vtkCells(data);
+        const out = [];
+        const dataArray = (type, name, values, components) => {
+            const attributes = [`type="${type}"`];
+            if (name) attributes.push(`Name="${escapeXml(name)}"`);
+            if (components) attributes.push(`NumberOfComponents="${components}"`);
+            out.push(`        <DataArray ${attributes.join(' ')} format="ascii">`);
+            out.push(Array.from(values).join(' '));
+            out.push('        </DataArray>');
+        };
+
+        out.push('<?xml version="1.0"?>');
+        out.push('<VTKFile type="UnstructuredGrid" version="0.1" byte_order="LittleEndian">');
+        out.push('  <UnstructuredGrid>');
+        out.push(`    <Piece NumberOfPoints="${data.nodes.length}" NumberOfCells="${cells.ids.length}">`);
+
+        out.push('      <PointData Scalars="node_id">');
+        dataArray('Int32', 'node_id', data.node_ids);
+        Object.entries(setFlags(data.node_sets, data.node_ids)).forEach(([name, values]) => {
+            dataArray('UInt8', `NSET:${name}`, values);
+        });
+        out.push('      </PointData>');
+
+        out.push('      <CellData Scalars="element_id">');
+        dataArray('Int32', 'element_id', cells.ids);
+        Object.entries(setFlags(data.element_sets, cells.ids)).forEach(([name, values]) => {
+            dataArray('UInt8', `ELSET:${name}`, values);
+        });
+        out.push('      </CellData>');
+
+        out.push('      <Points>');
+        dataArray('Float64', null, data.nodes.map(node => point3(node).join(' ')), 3);
+        out.push('      </Points>');
+
+        const offsets = [];
+        let offset = 0;
+        cells.connectivity.forEach(connectivity => {
+            offset += connectivity.length;
+            offsets.push(offset);
+        });
+        out.push('      <Cells>');
+        dataArray('Int32', 'connectivity', cells.connectivity.map(connectivity => connectivity.join(' ')));
+        dataArray('Int32', 'offsets', offsets);
+        dataArray('UInt8', 'types', cells.types);
+        out.push('      </Cells>');
+
+        out.push('    </Piece>');
+        out.push('  </UnstructuredGrid>');
+        out.push('</VTKFile>');
+        return out.join('\n') + '\n';
+    }
+
+    // Legacy ASCII .vtk, array names can't contain whitespace
+    function writeLegacyVtk(data, title = 'AbaqusReader.jl') {
+        const cells = vtkCells(data);
+        const arrayName = name => name.replace(/\s+/g, '_');
+        const out = [];
+
+        out.push('# vtk DataFile Version 3.0');
+        out.push(title.replace(/[\r\n]+/g, ' ').slice(0, 255));
+        out.push('ASCII');
+        out.push('DATASET UNSTRUCTURED_GRID');
+
+        out.push(`POINTS ${data.nodes.length} double`);
+        data.nodes.forEach(node => out.push(point3(node).join(' ')));
+
+        const size = cells.connectivity.reduce((sum, connectivity) => sum + connectivity.length + 1, 0);
+        out.push(`CELLS ${cells.ids.length} ${size}`);
+        cells.connectivity.forEach(connectivity => out.push(`${connectivity.length} ${connectivity.join(' ')}`));
+        out.push(`CELL_TYPES ${cells.ids.length}`);
+        cells.types.forEach(type => out.push(String(type)));
+
+        const scalars = (name, type, values) => {
+            out.push(`SCALARS ${arrayName(name)} ${type} 1`);
+            out.push('LOOKUP_TABLE default');
+            out.push(Array.from(values).join('\n'));
+        };
+
+        out.push(`POINT_DATA ${data.nodes.length}`);
+        scalars('node_id', 'int', data.node_ids);
+        Object.entries(setFlags(data.node_sets, data.node_ids)).forEach(([name, values]) => {
+            scalars(`NSET:${name}`, 'unsigned_char', values);
+        });
+
+        out.push(`CELL_DATA ${cells.ids.length}`);
+        scalars('element_id', 'int', cells.ids);
+        Object.entries(setFlags(data.element_sets, cells.ids)).forEach(([name, values]) => {
+            scalars(`ELSET:${name}`, 'unsigned_char', values);
+        });
+
+        return out.join('\n') + '\n';
+    }
+
+    return {
+        writeVtu,
+        writeLegacyVtk
+    };
+})();
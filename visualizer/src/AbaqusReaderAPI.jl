@@ -14,12 +14,12 @@ const VOLUME_TO_SURFACE_FACES = Dict(
         [2, 3, 4],  # Face 3
         [1, 4, 3]   # Face 4
     ],
-    # Tet10: 4 triangular faces (use only corner nodes for linear visualization)
+    # Tet10: 4 six-node triangular faces (corner nodes first, then midside nodes)
     :Tet10 => [
-        [1, 3, 2],  # Face 1
-        [1, 2, 4],  # Face 2
-        [2, 3, 4],  # Face 3
-        [1, 4, 3]   # Face 4
+        [1, 3, 2, 7, 6, 5],   # Face 1
+        [1, 2, 4, 5, 9, 8],   # Face 2
+        [2, 3, 4, 6, 10, 9],  # Face 3
+        [1, 4, 3, 8, 10, 7]   # Face 4
     ],
     # Hex8: 6 quadrilateral faces
     :Hex8 => [
@@ -30,14 +30,14 @@ const VOLUME_TO_SURFACE_FACES = Dict(
         [3, 7, 8, 4],  # Face 5
         [4, 8, 5, 1]   # Face 6
     ],
-    # Hex20: 6 quadrilateral faces (use only corner nodes)
+    # Hex20: 6 eight-node quadrilateral faces (corner nodes first, then midside nodes)
     :Hex20 => [
-        [1, 2, 3, 4],  # Face 1
-        [5, 8, 7, 6],  # Face 2
-        [1, 5, 6, 2],  # Face 3
-        [2, 6, 7, 3],  # Face 4
-        [3, 7, 8, 4],  # Face 5
-        [4, 8, 5, 1]   # Face 6
+        [1, 2, 3, 4, 9, 10, 11, 12],   # Face 1
+        [5, 8, 7, 6, 16, 15, 14, 13],  # Face 2
+        [1, 5, 6, 2, 17, 13, 18, 9],   # Face 3
+        [2, 6, 7, 3, 18, 14, 19, 10],  # Face 4
+        [3, 7, 8, 4, 19, 15, 20, 11],  # Face 5
+        [4, 8, 5, 1, 20, 16, 17, 12]   # Face 6
     ],
     # Wedge6: 5 faces (2 triangular, 3 quadrilateral)
     :Wedge6 => [
@@ -47,19 +47,48 @@ const VOLUME_TO_SURFACE_FACES = Dict(
         [2, 3, 6, 5],  # Quad face 2
         [3, 1, 4, 6]   # Quad face 3
     ],
-    # Wedge15: 5 faces (use only corner nodes)
+    # Wedge15: 5 faces (corner nodes first, then midside nodes)
     :Wedge15 => [
-        [1, 3, 2],     # Tri face 1
-        [4, 5, 6],     # Tri face 2
-        [1, 2, 5, 4],  # Quad face 1
-        [2, 3, 6, 5],  # Quad face 2
-        [3, 1, 4, 6]   # Quad face 3
+        [1, 3, 2, 9, 8, 7],             # Tri face 1
+        [4, 5, 6, 10, 11, 12],          # Tri face 2
+        [1, 2, 5, 4, 7, 14, 10, 13],    # Quad face 1
+        [2, 3, 6, 5, 8, 15, 11, 14],    # Quad face 2
+        [3, 1, 4, 6, 9, 13, 12, 15]     # Quad face 3
     ]
 )
 
+# Shell, membrane and 2D continuum elements are already surfaces: the element
+# itself is the face to draw
+const SHELL_TO_SURFACE_FACES = Dict(
+    :Tri3 => [[1, 2, 3]],
+    :Tri6 => [[1, 2, 3, 4, 5, 6]],
+    :Quad4 => [[1, 2, 3, 4]],
+    :Quad8 => [[1, 2, 3, 4, 5, 6, 7, 8]]
+)
+
+# Face types by number of face nodes (quadratic faces list corners first)
+const FACE_TYPES = Dict(3 => "Tri3", 4 => "Quad4", 6 => "Tri6", 8 => "Quad8")
+
+"""
+Corner nodes of a face; quadratic faces list their midside nodes after the corners.
+"""
+function face_corners(face_nodes::Vector{Int})
+    n = length(face_nodes)
+    return n == 6 || n == 8 ? face_nodes[1:div(n, 2)] : face_nodes
+end
+
+# Beam, truss and connector elements are drawn as polylines through their nodes
+# (ABAQUS numbers the midside node of a 3-node beam second: end, middle, end)
+const LINE_ELEMENT_NODES = Dict(
+    :Seg2 => [1, 2],
+    :Seg3 => [1, 2, 3]
+)
+
 """
 Extract boundary faces from volume elements for visualization.
 Only exports exterior faces that are not shared with other elements.
+Shell and 2D elements are passed through as faces as they are.
+Returns the faces and the id of the element each face belongs to.
 """
 function extract_surface_faces(mesh::Dict)
     elements = mesh["elements"]
@@ -81,13 +110,14 @@ function extract_surface_faces(mesh::Dict)
             # Map local node indices to global node IDs
             face_nodes_global = [connectivity[i] for i in face_nodes_local]
             # Sort to make face orientation-independent for counting
-            face_key = sort(face_nodes_global)
+            face_key = sort(face_corners(face_nodes_global))
             face_count[face_key] = get(face_count, face_key, 0) + 1
         end
     end
     
     # Extract only boundary faces (appear exactly once)
     boundary_faces = Vector{Vector{Int}}()
+    face_elements = Vector{Int}()
     
     for (elem_id, connectivity) in elements
         elem_type = element_types[elem_id]
@@ -98,16 +128,123 @@ function extract_surface_faces(mesh::Dict)
         
         for face_nodes_local in VOLUME_TO_SURFACE_FACES[elem_type]
             face_nodes_global = [connectivity[i] for i in face_nodes_local]
-            face_key = sort(face_nodes_global)
+            face_key = sort(face_corners(face_nodes_global))
             
             # Only include faces that appear exactly once (boundary)
             if face_count[face_key] == 1
                 push!(boundary_faces, face_nodes_global)
+                push!(face_elements, elem_id)
             end
         end
     end
+
+    # Shell faces are not counted above, so a shell sharing nodes with the
+    # face of a solid does not hide that face (or itself)
+    for (elem_id, connectivity) in elements
+        elem_type = element_types[elem_id]
+
+        if !haskey(SHELL_TO_SURFACE_FACES, elem_type)
+            continue
+        end
+
+        for face_nodes_local in SHELL_TO_SURFACE_FACES[elem_type]
+            push!(boundary_faces, [connectivity[i] for i in face_nodes_local])
+            push!(face_elements, elem_id)
+        end
+    end
     
-    return boundary_faces
+    return boundary_faces, face_elements
+end
+
+"""
+Extract line elements (beams, trusses, connectors) for visualization.
+Returns (element_id, node_ids) pairs sorted by element id.
+"""
+function extract_line_elements(mesh::Dict)
+    elements = mesh["elements"]
+    element_types = mesh["element_types"]
+    lines = Vector{Tuple{Int,Vector{Int}}}()
+
+    for elem_id in sort(collect(keys(elements)))
+        elem_type = element_types[elem_id]
+
+        if !haskey(LINE_ELEMENT_NODES, elem_type)
+            continue
+        end
+
+        connectivity = elements[elem_id]
+        push!(lines, (elem_id, [connectivity[i] for i in LINE_ELEMENT_NODES[elem_type]]))
+    end
+
+    return lines
+end
+
+"""
+Reverse the orientation of a face, keeping midside nodes between their corners.
+"""
+function flip_face(face_nodes::Vector{Int})
+    corners = face_corners(face_nodes)
+    n = length(corners)
+    flipped = [corners[1]; reverse(corners[2:end])]
+    if length(face_nodes) == n
+        return flipped
+    end
+    midside = face_nodes[n+1:end]
+    return [flipped; reverse(midside)]
+end
+
+"""
+Resolve element-based surfaces (element, side) to face polygons for
+visualization, using the face mapping of `create_surface_elements`.
+Faces are oriented so that their normals point out of the parent element.
+Sides that can't be resolved (e.g. unsupported element types) are counted
+as skipped.
+"""
+function extract_surfaces(mesh::Dict)
+    nodes = mesh["nodes"]
+    surfaces = Dict{String,Any}()
+
+    for (name, surface) in mesh["surface_sets"]
+        faces = Vector{Vector{Int}}()
+        sides = Vector{Tuple{Int,Symbol}}()
+        skipped = 0
+
+        for (elem_id, side) in surface
+            if !haskey(mesh["elements"], elem_id)
+                skipped += 1
+                continue
+            end
+            connectivity = mesh["elements"][elem_id]
+            face_nodes = try
+                AbaqusReader.create_surface_element(mesh["element_types"][elem_id], side, connectivity)[2]
+            catch
+                skipped += 1
+                continue
+            end
+
+            # Flip the face if its normal points towards the element centroid
+            corners = [nodes[nid] for nid in face_corners(face_nodes)]
+            face_center = sum(corners) / length(corners)
+            elem_center = sum(nodes[nid] for nid in connectivity) / length(connectivity)
+            normal = zeros(3)
+            for i in 1:length(corners)
+                a, b = corners[i], corners[mod1(i + 1, length(corners))]
+                normal += [(a[2] - b[2]) * (a[3] + b[3]),
+                           (a[3] - b[3]) * (a[1] + b[1]),
+                           (a[1] - b[1]) * (a[2] + b[2])]
+            end
+            if sum(normal .* (face_center - elem_center)) < 0
+                face_nodes = flip_face(face_nodes)
+            end
+
+            push!(faces, face_nodes)
+            push!(sides, (elem_id, side))
+        end
+
+        surfaces[name] = (faces=faces, sides=sides, skipped=skipped)
+    end
+
+    return surfaces
 end
 
 # CORS headers for cross-origin requests
@@ -134,9 +271,11 @@ function mesh_to_json(mesh::Dict)
         push!(nodes, coords)
     end
     result["nodes"] = nodes
+    # Original ABAQUS node ids, aligned with nodes
+    result["node_ids"] = node_ids
 
-    # Extract surface faces from volume elements for visualization
-    surface_faces = extract_surface_faces(mesh)
+    # Extract surface faces from volume and shell elements for visualization
+    surface_faces, face_elements = extract_surface_faces(mesh)
     
     # Convert faces to 0-based node indices
     elements = []
@@ -148,35 +287,71 @@ function mesh_to_json(mesh::Dict)
         push!(elements, mapped_face)
         
         # Determine element type based on face size
-        if length(face_nodes) == 3
-            push!(element_types, "Tri3")
-        elseif length(face_nodes) == 4
-            push!(element_types, "Quad4")
-        else
-            push!(element_types, "Polygon")
-        end
+        push!(element_types, get(FACE_TYPES, length(face_nodes), "Polygon"))
     end
     
     result["elements"] = elements
     result["element_types"] = element_types
+    # Original ABAQUS element id of each face, for picking
+    result["face_elements"] = face_elements
+
+    # All elements with their original ids, ABAQUS element codes (e.g. C3D10),
+    # topological types (e.g. Tet10) and full 0-based connectivity
+    cell_ids = sort(collect(keys(mesh["elements"])))
+    result["cells"] = Dict(
+        "ids" => cell_ids,
+        "codes" => [String(mesh["element_codes"][id]) for id in cell_ids],
+        "types" => [String(mesh["element_types"][id]) for id in cell_ids],
+        "connectivity" => [[node_map[nid] for nid in mesh["elements"][id]] for id in cell_ids]
+    )
+
+    # Line elements are sent separately as polylines, with the original
+    # element id so that beam sections can be matched via element sets
+    line_elements = extract_line_elements(mesh)
+    mesh_element_types = mesh["element_types"]
+    result["lines"] = [[node_map[nid] for nid in line_nodes] for (_, line_nodes) in line_elements]
+    result["line_types"] = [String(mesh_element_types[elem_id]) for (elem_id, _) in line_elements]
+    result["line_elements"] = [elem_id for (elem_id, _) in line_elements]
 
     # Add sets information
     result["element_sets"] = Dict(k => v for (k, v) in mesh["element_sets"])
     result["node_sets"] = Dict(k => v for (k, v) in mesh["node_sets"])
+    result["surface_sets"] = Dict(k => [[elem_id, String(face)] for (elem_id, face) in v]
+                                  for (k, v) in mesh["surface_sets"])
+
+    # Surfaces resolved to outward oriented face polygons (0-based node indices)
+    surfaces = Dict{String,Any}()
+    for (name, surface) in extract_surfaces(mesh)
+        surfaces[name] = Dict(
+            "type" => String(get(mesh["surface_types"], name, :UNKNOWN)),
+            "faces" => [[node_map[nid] for nid in face] for face in surface.faces],
+            "face_types" => [get(FACE_TYPES, length(face), "Polygon") for face in surface.faces],
+            "face_elements" => [elem_id for (elem_id, _) in surface.sides],
+            "skipped" => surface.skipped
+        )
+    end
+    result["surfaces"] = surfaces
 
     # Statistics
     result["stats"] = Dict(
         "num_nodes" => length(nodes),
-        "num_elements" => length(elements),
+        "num_elements" => length(mesh["elements"]),
         "num_element_sets" => length(mesh["element_sets"]),
         "num_node_sets" => length(mesh["node_sets"]),
-        "num_surface_faces" => length(surface_faces)
+        "num_surfaces" => length(mesh["surface_sets"]),
+        "num_surface_faces" => length(surface_faces),
+        "num_line_elements" => length(line_elements)
     )
 
     # If PART/ASSEMBLY format, include parts info
     if haskey(mesh, "parts")
         result["has_parts"] = true
         result["part_names"] = collect(keys(mesh["parts"]))
+        # Flattened element and node ids of each part, and the placement of
+        # the part instances of the assembly
+        result["part_elements"] = mesh["part_elements"]
+        result["part_nodes"] = mesh["part_nodes"]
+        result["instances"] = mesh["instances"]
     else
         result["has_parts"] = false
     end
@@ -184,6 +359,173 @@ function mesh_to_json(mesh::Dict)
     return result
 end
 
+# Media type of the binary mesh format, see mesh_to_binary
+const BINARY_MESH_TYPE = "application/x-abaqus-mesh"
+
+const BINARY_HEADERS = [
+    "Access-Control-Allow-Origin" => "*",
+    "Access-Control-Allow-Methods" => "POST, GET, OPTIONS",
+    "Access-Control-Allow-Headers" => "Content-Type",
+    "Content-Type" => BINARY_MESH_TYPE,
+    "Vary" => "Accept"
+]
+
+# Fields of mesh_to_json sent as typed arrays in the binary format
+const BINARY_FIELDS = ("nodes", "node_ids", "elements", "element_types", "face_elements",
+                       "cells", "lines", "line_types", "line_elements")
+
+const BINARY_DTYPES = Dict(Float64 => "float64", Int32 => "int32", UInt32 => "uint32", UInt8 => "uint8")
+
+"""
+Rows of varying length (0-based node indices) as one flat UInt32 array and n+1 offsets.
+"""
+function flatten_rows(rows)
+    offsets = zeros(UInt32, length(rows) + 1)
+    for (i, row) in enumerate(rows)
+        offsets[i+1] = offsets[i] + length(row)
+    end
+    values = Vector{UInt32}(undef, offsets[end])
+    for (i, row) in enumerate(rows)
+        values[offsets[i]+1:offsets[i+1]] .= row
+    end
+    return values, offsets
+end
+
+"""
+Strings as UInt8 indices into a table of the distinct strings.
+"""
+function name_indices(names)
+    table = unique(String.(names))
+    length(table) <= 256 || error("Too many distinct names for the binary format")
+    index = Dict(name => UInt8(i - 1) for (i, name) in enumerate(table))
+    return UInt8[index[String(name)] for name in names], table
+end
+
+"""
+Pack the result of `mesh_to_json` into the binary mesh format.
+
+Coordinates, connectivity, type codes and ids are sent as little-endian typed
+arrays, which the frontend uses without building nested arrays; all other
+fields (sets, surfaces, stats, model) go to a JSON header.
+
+Layout: magic `ABQM`, UInt32 format version, UInt32 header length and the
+header JSON padded with spaces so that the arrays start at a multiple of 8
+bytes. The header lists the arrays in `buffers` with name, dtype, byte offset
+from the end of the header and number of values; each array is padded to 8
+bytes. Nodes are sent as x, y, z triplets (z = 0 for 2D), rows of faces,
+cell connectivity and lines flat with `*_offsets`, and type strings as
+indices into the `names` tables of the header.
+"""
+function mesh_to_binary(result::Dict)
+    header = Dict{String,Any}(k => v for (k, v) in result if !(k in BINARY_FIELDS))
+    buffers = []
+    names = Dict{String,Any}()
+    data = IOBuffer()
+
+    function add!(name, values::Vector{T}) where {T}
+        push!(buffers, Dict("name" => name, "dtype" => BINARY_DTYPES[T],
+                            "offset" => position(data), "length" => length(values)))
+        write(data, htol.(values))
+        write(data, zeros(UInt8, mod(-position(data), 8)))
+    end
+    function add_names!(name, strings)
+        indices, table = name_indices(strings)
+        add!(name, indices)
+        names[name] = table
+    end
+
+    nodes = result["nodes"]
+    coords = zeros(Float64, 3 * length(nodes))
+    for (i, node) in enumerate(nodes)
+        coords[3i-2:3i-3+length(node)] .= node
+    end
+    add!("nodes", coords)
+    add!("node_ids", Vector{Int32}(result["node_ids"]))
+
+    faces, face_offsets = flatten_rows(result["elements"])
+    add!("faces", faces)
+    add!("face_offsets", face_offsets)
+    add_names!("face_types", result["element_types"])
+    add!("face_elements", Vector{Int32}(result["face_elements"]))
+
+    cells = result["cells"]
+    connectivity, connectivity_offsets = flatten_rows(cells["connectivity"])
+    add!("cell_ids", Vector{Int32}(cells["ids"]))
+    add_names!("cell_codes", cells["codes"])
+    add_names!("cell_types", cells["types"])
+    add!("cell_connectivity", connectivity)
+    add!("cell_offsets", connectivity_offsets)
+
+    lines, line_offsets = flatten_rows(result["lines"])
+    add!("lines", lines)
+    add!("line_offsets", line_offsets)
+    add_names!("line_types", result["line_types"])
+    add!("line_elements", Vector{Int32}(result["line_elements"]))
+
+    header["buffers"] = buffers
+    header["names"] = names
+    header_json = Vector{UInt8}(JSON3.write(header))
+    append!(header_json, fill(UInt8(' '), mod(-(12 + length(header_json)), 8)))
+
+    out = IOBuffer()
+    write(out, b"ABQM")
+    write(out, htol(UInt32(1)))
+    write(out, htol(UInt32(length(header_json))))
+    write(out, header_json)
+    write(out, take!(data))
+    return take!(out)
+end
+
+"""
+Whether the client asked for the binary mesh format, by listing it in the
+`Accept` header or with the query parameter `format=binary`.
+"""
+function wants_binary(req::HTTP.Request)
+    accept = HTTP.header(req, "Accept", "")
+    params = HTTP.queryparams(HTTP.URI(req.target))
+    return occursin(BINARY_MESH_TYPE, accept) || get(params, "format", "") == "binary"
+end
+
+"""
+Response with the parsed mesh, binary or JSON as negotiated by `wants_binary`.
+"""
+function mesh_response(req::HTTP.Request, result::Dict)
+    if wants_binary(req)
+        return HTTP.Response(200, BINARY_HEADERS, mesh_to_binary(result))
+    end
+    return HTTP.Response(200, CORS_HEADERS, JSON3.write(result))
+end
+
+"""
+Convert a material property (Elastic, Density, Plastic, ...) to a Dict of its
+type and fields, e.g. `{"type": "Elastic", "E": 210000.0, "nu": 0.3}`.
+Plastic tables become `[[yield_stress, plastic_strain], ...]`.
+"""
+function material_property_to_json(prop)
+    result = Dict{String,Any}("type" => String(nameof(typeof(prop))))
+    for field in fieldnames(typeof(prop))
+        value = getfield(prop, field)
+        result[String(field)] = value isa Vector{<:Tuple} ? [collect(row) for row in value] : value
+    end
+    return result
+end
+
+"""
+Convert a boundary condition or load (*BOUNDARY, *CLOAD, *DLOAD, *DSLOAD) to
+a Dict of its keyword, options and data rows. Node, set and surface names in
+the rows are sent as strings, numbers as numbers.
+"""
+function boundary_condition_to_json(bc)
+    # Data lines were parsed with Meta.parse: names come as symbols, or as
+    # expressions when they contain '-' or '.' (e.g. Part-1-1.Set-1)
+    value_to_json(value) = value isa Number || value === nothing ? value : replace(string(value), " " => "")
+    return Dict{String,Any}(
+        "kind" => String(bc.kind),
+        "options" => bc.options,
+        "data" => [[value_to_json(value) for value in row] for row in bc.data]
+    )
+end
+
 """
 Convert model to JSON-serializable format
 """
@@ -192,27 +534,48 @@ function model_to_json(model)
 
     # Basic info
     result["type"] = "model"
+    result["name"] = model.name
+    result["heading"] = model.heading
 
     # Materials
     materials = []
-    for (name, mat) in model.materials
-        mat_dict = Dict(
-            "name" => name,
-            "type" => String(mat.material_type)
+    for (name, mat) in sort!(collect(model.materials); by=first)
+        mat_dict = Dict{String,Any}(
+            "name" => String(name),
+            "type" => String(nameof(typeof(mat)))
         )
+        if hasfield(typeof(mat), :properties)
+            mat_dict["properties"] = [material_property_to_json(prop) for prop in mat.properties]
+        end
         push!(materials, mat_dict)
     end
     result["materials"] = materials
 
     # Properties
     properties = []
-    for (name, prop) in model.properties
-        prop_dict = Dict("name" => name)
-        if !isnothing(prop.element_set)
-            prop_dict["element_set"] = prop.element_set
+    for prop in model.properties
+        prop_dict = Dict{String,Any}(
+            "type" => String(nameof(typeof(prop))),
+            "element_set" => String(prop.element_set)
+        )
+        if hasfield(typeof(prop), :material_name)
+            prop_dict["material"] = String(prop.material_name)
         end
-        if !isnothing(prop.material)
-            prop_dict["material"] = prop.material
+        if prop isa AbaqusReader.SolidSection
+            prop.area !== nothing && (prop_dict["area"] = prop.area)
+            prop.controls !== nothing && (prop_dict["controls"] = String(prop.controls))
+        end
+        if prop isa AbaqusReader.ShellSection
+            prop_dict["thickness"] = prop.thickness
+            prop_dict["num_integration_points"] = prop.num_integration_points
+        end
+        if prop isa AbaqusReader.BeamSection
+            prop_dict["section"] = String(prop.section)
+            prop_dict["dimensions"] = prop.dimensions
+            prop_dict["direction"] = prop.direction
+        end
+        if prop isa AbaqusReader.MassSection
+            prop_dict["mass"] = prop.mass
         end
         push!(properties, prop_dict)
     end
@@ -221,14 +584,22 @@ function model_to_json(model)
     # Steps
     steps = []
     for step in model.steps
-        step_dict = Dict(
-            "name" => step.step_name,
-            "type" => String(step.analysis_type)
+        step_dict = Dict{String,Any}(
+            "name" => something(step.name, ""),
+            "type" => step.kind === nothing ? "UNKNOWN" : String(step.kind),
+            "options" => step.options,
+            "parameters" => step.parameters,
+            "boundary_conditions" => [boundary_condition_to_json(bc) for bc in step.boundary_conditions],
+            "num_boundary_conditions" => length(step.boundary_conditions),
+            "num_output_requests" => length(step.output_requests)
         )
         push!(steps, step_dict)
     end
     result["steps"] = steps
 
+    # Boundary conditions and loads given before the first step
+    result["boundary_conditions"] = [boundary_condition_to_json(bc) for bc in model.boundary_conditions]
+
     result["stats"] = Dict(
         "num_materials" => length(materials),
         "num_properties" => length(properties),
@@ -238,6 +609,48 @@ function model_to_json(model)
     return result
 end
 
+"""
+Parse ABAQUS input file content into the result of `mesh_to_json`, with the
+model data when the full model parser succeeds. `progress(stage)` is called
+with the name of each stage before it starts; the parsers report nothing
+from inside a stage, so there is no fraction done.
+"""
+function parse_content(content::AbstractString; progress=stage -> nothing)
+    # Parse as mesh first
+    progress("Parsing mesh")
+    mesh = AbaqusReader.abaqus_parse_mesh(content, verbose=false)
+    progress("Extracting surfaces")
+    result = mesh_to_json(mesh)
+    result["success"] = true
+    result["parse_type"] = "mesh"
+
+    # Try to parse as complete model for additional info
+    progress("Parsing materials and steps")
+    try
+        model = AbaqusReader.abaqus_parse_model(content)
+        result["model"] = model_to_json(model)
+        result["parse_type"] = "full"
+    catch e
+        # Mesh-only parsing succeeded, that's fine
+        @info "Full model parsing not available (mesh-only mode)"
+    end
+
+    progress("Done")
+    return result
+end
+
+"""
+Error response body of a failed parse.
+"""
+function parse_error(e, backtrace)
+    return Dict(
+        "success" => false,
+        "error" => string(e),
+        "error_details" => sprint(showerror, e, backtrace),
+        "suggestion" => "This file format might not be supported yet. Please report this issue with your .inp file attached."
+    )
+end
+
 """
 Parse ABAQUS input file and return mesh/model data
 """
@@ -251,36 +664,133 @@ function parse_handler(req::HTTP.Request)
                 JSON3.write(Dict("error" => "No file content provided")))
         end
 
-        # Parse as mesh first
-        mesh = AbaqusReader.abaqus_parse_mesh(content, verbose=false)
-        result = mesh_to_json(mesh)
-        result["success"] = true
-        result["parse_type"] = "mesh"
+        return mesh_response(req, parse_content(content))
 
-        # Try to parse as complete model for additional info
-        try
-            model = AbaqusReader.abaqus_parse_model(content)
-            result["model"] = model_to_json(model)
-            result["parse_type"] = "full"
-        catch e
-            # Mesh-only parsing succeeded, that's fine
-            @info "Full model parsing not available (mesh-only mode)"
-        end
+    catch e
+        @error "Parsing failed"
+        return HTTP.Response(400, CORS_HEADERS, JSON3.write(parse_error(e, catch_backtrace())))
+    end
+end
 
-        return HTTP.Response(200, CORS_HEADERS, JSON3.write(result))
+"""
+Parse job started by `POST /parse/jobs`: the server reports its stage as
+Server-Sent Events while parsing and keeps the result until it is fetched.
+"""
+mutable struct ParseJob
+    stage::String
+    status::Symbol  # :running, :done or :failed
+    result::Union{Dict,Nothing}
+    created::Float64
+end
+
+const PARSE_JOBS = Dict{String,ParseJob}()
+const PARSE_JOBS_LOCK = ReentrantLock()
 
+# Jobs whose result was never fetched are dropped after this many seconds
+const PARSE_JOB_TIMEOUT = 600.0
+
+function get_job(id::AbstractString)
+    lock(PARSE_JOBS_LOCK) do
+        get(PARSE_JOBS, id, nothing)
+    end
+end
+
+# The server runs Julia with a single thread (dev.sh and Dockerfile.visualizer
+# start it without `-t`), so the spawned job is a task on the same thread as
+# the request handlers, not in parallel with them: the event streams and
+# other requests only get a turn when it yields between stages.
+function run_parse_job(job::ParseJob, content::String)
+    try
+        job.result = parse_content(content; progress=stage -> begin
+            job.stage = stage
+            yield()  # Let the event streams report the stage
+        end)
+        job.status = :done
     catch e
-        error_msg = sprint(showerror, e, catch_backtrace())
         @error "Parsing failed"
+        job.result = parse_error(e, catch_backtrace())
+        job.status = :failed
+    end
+end
 
-        result = Dict(
-            "success" => false,
-            "error" => string(e),
-            "error_details" => error_msg,
-            "suggestion" => "This file format might not be supported yet. Please report this issue with your .inp file attached."
-        )
+"""
+Start parsing the request body in the background, returns the job id.
+"""
+function start_parse_job_handler(req::HTTP.Request)
+    content = String(req.body)
+    if isempty(content)
+        return HTTP.Response(400, CORS_HEADERS,
+            JSON3.write(Dict("error" => "No file content provided")))
+    end
+
+    id = string(rand(UInt64), base=16)
+    job = ParseJob("Queued", :running, nothing, time())
+    lock(PARSE_JOBS_LOCK) do
+        filter!(entry -> time() - entry.second.created < PARSE_JOB_TIMEOUT, PARSE_JOBS)
+        PARSE_JOBS[id] = job
+    end
+    Threads.@spawn run_parse_job(job, content)
+
+    return HTTP.Response(200, CORS_HEADERS, JSON3.write(Dict("success" => true, "job" => id)))
+end
+
+"""
+Result of a parse job, waits until the job has finished. The job is removed
+once its result has been sent.
+"""
+function parse_job_result_handler(req::HTTP.Request, id::AbstractString)
+    job = get_job(id)
+    if job === nothing
+        return HTTP.Response(404, CORS_HEADERS, JSON3.write(Dict("error" => "Unknown parse job")))
+    end
+    while job.status == :running
+        sleep(0.1)
+    end
+    lock(PARSE_JOBS_LOCK) do
+        delete!(PARSE_JOBS, id)
+    end
 
-        return HTTP.Response(400, CORS_HEADERS, JSON3.write(result))
+    if job.status == :failed
+        return HTTP.Response(400, CORS_HEADERS, JSON3.write(job.result))
+    end
+    return mesh_response(req, job.result)
+end
+
+const EVENT_STREAM_HEADERS = [
+    "Access-Control-Allow-Origin" => "*",
+    "Content-Type" => "text/event-stream",
+    "Cache-Control" => "no-cache"
+]
+
+"""
+Progress of a parse job as Server-Sent Events: a message with the stage
+whenever it changes, and a final `done` or `failed` event.
+"""
+function parse_job_events_handler(stream::HTTP.Stream, id::AbstractString)
+    job = get_job(id)
+    if job === nothing
+        HTTP.setstatus(stream, 404)
+        foreach(header -> HTTP.setheader(stream, header), CORS_HEADERS)
+        HTTP.startwrite(stream)
+        write(stream, JSON3.write(Dict("error" => "Unknown parse job")))
+        return
+    end
+
+    HTTP.setstatus(stream, 200)
+    foreach(header -> HTTP.setheader(stream, header), EVENT_STREAM_HEADERS)
+    HTTP.startwrite(stream)
+    reported = nothing
+    while true
+        stage = job.stage
+        if stage != reported
+            write(stream, "data: $(JSON3.write(Dict("stage" => stage)))\n\n")
+            reported = stage
+        end
+        if job.status != :running
+            write(stream, "event: $(job.status)\ndata: {}\n\n")
+            return
+        end
+        sleep(0.1)
     end
 end
 
@@ -402,7 +912,7 @@ function load_testdata_handler(req::HTTP.Request)
             @info "Full model parsing not available for $filename (mesh-only mode)"
         end
 
-        return HTTP.Response(200, CORS_HEADERS, JSON3.write(result))
+        return mesh_response(req, result)
 
     catch e
         error_msg = sprint(showerror, e, catch_backtrace())
@@ -434,27 +944,46 @@ function router(req::HTTP.Request)
         return cors_handler(req)
     end
 
-    # Route requests
-    if req.method == "GET" && req.target == "/health"
+    # Route requests, query parameters such as format=binary are read by the handlers
+    path = HTTP.URI(req.target).path
+    if req.method == "GET" && path == "/health"
         return health_handler(req)
-    elseif req.method == "GET" && startswith(req.target, "/testdata/list")
+    elseif req.method == "GET" && startswith(path, "/testdata/list")
         return list_testdata_handler(req)
-    elseif req.method == "GET" && startswith(req.target, "/testdata/load")
+    elseif req.method == "GET" && startswith(path, "/testdata/load")
         return load_testdata_handler(req)
-    elseif req.method == "POST" && req.target == "/parse"
+    elseif req.method == "POST" && path == "/parse"
         return parse_handler(req)
+    elseif req.method == "POST" && path == "/parse/jobs"
+        return start_parse_job_handler(req)
+    elseif req.method == "GET" && (m = match(r"^/parse/jobs/(\w+)/result$", path)) !== nothing
+        return parse_job_result_handler(req, m[1])
     else
         return HTTP.Response(404, CORS_HEADERS,
             JSON3.write(Dict("error" => "Not found")))
     end
 end
 
+"""
+Stream handler of the server: the progress events of parse jobs are written
+as they happen, all other requests are answered by `router`.
+"""
+function stream_router(stream::HTTP.Stream)
+    req = stream.message
+    m = match(r"^/parse/jobs/(\w+)/events$", HTTP.URI(req.target).path)
+    if req.method == "GET" && m !== nothing
+        @info "$(req.method) $(req.target)"
+        return parse_job_events_handler(stream, m[1])
+    end
+    return HTTP.streamhandler(router)(stream)
+end
+
 """
 Start the AbaqusReader API server
 """
 function start(; host::AbstractString=get(ENV, "HOST", "0.0.0.0"), port::Integer=parse(Int, get(ENV, "PORT", "8080")))
     @info "Starting AbaqusReader API server on $host:$port"
-    HTTP.serve(router, host, port)
+    HTTP.serve(stream_router, host, port; stream=true)
 end
 
 end # module AbaqusReaderAPI